@@ -1,9 +1,24 @@
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
+import { rateLimit } from "./middlewares/rateLimit.middleware.js";
+import { RATE_LIMITS } from "./constants.js";
 
 const app = express();
 
+// Behind a reverse proxy req.ip would be the proxy's address for everyone,
+// and so would the rate limit bucket. TRUST_PROXY takes what Express'
+// "trust proxy" does: true, a number of hops, or addresses/subnets such as
+// "loopback, 10.0.0.0/8".
+const parseTrustProxy = (value) => {
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+}
+
 app.use(
   cors({
     origin: process.env.CORS_ORIGIN,
@@ -16,12 +31,40 @@ app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(express.static("public"));
 app.use(cookieParser());
 
+// runs before any verifyJWT, so this one is always per IP. Per-user limits
+// go on the routes, after verifyJWT.
+app.use("/api", rateLimit(RATE_LIMITS.api));
+
 // import routes
 import userRouter from "./routes/user.routes.js";
+import videoRouter from "./routes/video.routes.js";
+import subscriptionRouter from "./routes/subscription.routes.js";
+import commentRouter from "./routes/comment.routes.js";
+import likeRouter from "./routes/like.routes.js";
+import playlistRouter from "./routes/playlist.routes.js";
+import dashboardRouter from "./routes/dashboard.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import tweetRouter from "./routes/tweet.routes.js";
+import feedRouter from "./routes/feed.routes.js";
+import searchRouter from "./routes/search.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import { rollbackUploads } from "./middlewares/rollbackUploads.middleware.js";
 import { errorHandler } from "./middlewares/errorHandler.middleware.js";
 
 app.use("/api/v1/users", userRouter);
+app.use("/api/v1/videos", videoRouter);
+app.use("/api/v1/subscriptions", subscriptionRouter);
+app.use("/api/v1/comments", commentRouter);
+app.use("/api/v1/likes", likeRouter);
+app.use("/api/v1/playlists", playlistRouter);
+app.use("/api/v1/dashboard", dashboardRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/tweets", tweetRouter);
+app.use("/api/v1/feed", feedRouter);
+app.use("/api/v1/search", searchRouter);
+app.use("/api/v1/notifications", notificationRouter);
 
+app.use(rollbackUploads);
 app.use(errorHandler);
 
 export { app };
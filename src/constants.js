@@ -1 +1,116 @@
 export const DB_NAME = "javascript-backend";
+
+export const EMAIL_VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+export const PASSWORD_RESET_TOKEN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+export const LOGIN_MAX_FAILURES_PER_ACCOUNT = 5;
+export const LOGIN_MAX_FAILURES_PER_IP = 20;
+export const LOGIN_LOCKOUT_BASE_MS = 60 * 1000; // doubles with every lockout
+export const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000; // 1 hour
+export const LOGIN_ATTEMPT_TTL_MS = 24 * 60 * 60 * 1000; // forget after a quiet day
+
+// Rate limit policies, see middlewares/rateLimit.middleware.js
+export const RATE_LIMITS = {
+  api: {
+    name: "api",
+    algorithm: "token-bucket",
+    capacity: 100,
+    refillPerSecond: 10,
+  },
+  register: {
+    name: "register",
+    algorithm: "fixed-window",
+    limit: 5,
+    windowMs: 60 * 60 * 1000,
+  },
+  login: {
+    name: "login",
+    algorithm: "token-bucket",
+    capacity: 10,
+    refillPerSecond: 1 / 30,
+  },
+  refreshToken: {
+    name: "refresh-token",
+    algorithm: "fixed-window",
+    limit: 30,
+    windowMs: 15 * 60 * 1000,
+  },
+  accountEmail: {
+    name: "account-email",
+    algorithm: "fixed-window",
+    limit: 5,
+    windowMs: 15 * 60 * 1000,
+  },
+  publishVideo: {
+    name: "publish-video",
+    algorithm: "fixed-window",
+    limit: 20,
+    windowMs: 24 * 60 * 60 * 1000,
+  },
+};
+
+// Upload policies per form field, see middlewares/multer.middleware.js
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const MB = 1024 * 1024;
+
+export const UPLOAD_POLICIES = {
+  avatar: {
+    types: IMAGE_TYPES,
+    maxBytes: 2 * MB,
+    maxWidth: 4096,
+    maxHeight: 4096,
+  },
+  coverImage: {
+    types: IMAGE_TYPES,
+    maxBytes: 6 * MB,
+    maxWidth: 8192,
+    maxHeight: 8192,
+  },
+  thumbnail: {
+    types: IMAGE_TYPES,
+    maxBytes: 2 * MB,
+    maxWidth: 4096,
+    maxHeight: 4096,
+  },
+  image: {
+    types: IMAGE_TYPES,
+    maxBytes: 6 * MB,
+    maxWidth: 8192,
+    maxHeight: 8192,
+  },
+  videoFile: {
+    types: ["video/mp4", "video/quicktime", "video/webm"],
+    maxBytes: 500 * MB,
+  },
+};
+
+// Sizes every uploaded image is cropped and resized to, see utils/imageProcessing.js
+export const IMAGE_PRESETS = {
+  avatar: {
+    aspectRatio: 1,
+    widths: { small: 64, medium: 256, large: 512 },
+  },
+  coverImage: {
+    aspectRatio: 4,
+    widths: { small: 640, medium: 1280, large: 2560 },
+  },
+  thumbnail: {
+    aspectRatio: 16 / 9,
+    widths: { small: 320, medium: 640, large: 1280 },
+  },
+  // post images keep their own aspect ratio
+  post: {
+    widths: { small: 480, medium: 960, large: 1920 },
+  },
+};
+
+// Most recent videos kept in a user's watch history
+export const WATCH_HISTORY_LIMIT = 200;
+
+// Resumable video uploads, see controllers/videoUpload.controller.js
+export const UPLOAD_CHUNK_SIZE = 8 * MB; // default, clients may pick another
+export const UPLOAD_MIN_CHUNK_SIZE = 1 * MB;
+export const UPLOAD_MAX_CHUNK_SIZE = 32 * MB;
+export const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // since the last chunk
+// each one may hold up to UPLOAD_POLICIES.videoFile.maxBytes of chunks on disk
+export const UPLOAD_MAX_OPEN_SESSIONS = 3;
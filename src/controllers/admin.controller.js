@@ -0,0 +1,154 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Session } from "../models/session.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+
+// Loads the target user and stops staff from acting on themselves or on
+// someone of equal or higher rank.
+const findManageableUser = async (userId, actor) => {
+  if (actor._id.equals(userId)) {
+    throw new ApiError(400, "You cannot perform this action on yourself");
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  if (user.role !== "user" && actor.role !== "admin") {
+    throw new ApiError(403, "Only admins can manage staff accounts");
+  }
+
+  return user;
+};
+
+const recordAdminAction = (req, type, details) =>
+  SecurityEvent.create({
+    user: details.userId,
+    type,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+    details: { ...details, by: req.user._id },
+  });
+
+const listUsers = asyncHandler(async (req, res) => {
+  const { page, limit, q, role, banned } = req.query;
+
+  const match = {};
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), "i");
+    match.$or = [
+      { username: pattern },
+      { fullName: pattern },
+      { email: pattern },
+    ];
+  }
+  // accounts from before roles and bans have neither field
+  if (role) match.role = role === "user" ? { $in: ["user", null] } : role;
+  if (banned !== undefined) match.isBanned = banned ? true : { $ne: true };
+
+  const aggregate = User.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $project: {
+        username: 1,
+        email: 1,
+        fullName: 1,
+        avatar: 1,
+        role: { $ifNull: ["$role", "user"] },
+        isBanned: { $ifNull: ["$isBanned", false] },
+        banReason: 1,
+        isEmailVerified: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  const users = await User.aggregatePaginate(aggregate, { page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+const banUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const user = await findManageableUser(req.params.userId, req.user);
+
+  user.isBanned = true;
+  user.banReason = reason;
+  await user.save();
+
+  // a ban also ends every session the user has open
+  await Session.deleteMany({ user: user._id });
+  await recordAdminAction(req, "user_banned", { userId: user._id, reason });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "User banned successfully"));
+});
+
+const unbanUser = asyncHandler(async (req, res) => {
+  const user = await findManageableUser(req.params.userId, req.user);
+
+  user.isBanned = false;
+  user.banReason = undefined;
+  await user.save();
+
+  await recordAdminAction(req, "user_unbanned", { userId: user._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "User unbanned successfully"));
+});
+
+const forceLogoutUser = asyncHandler(async (req, res) => {
+  const user = await findManageableUser(req.params.userId, req.user);
+
+  const { deletedCount } = await Session.deleteMany({ user: user._id });
+
+  await recordAdminAction(req, "user_force_logout", { userId: user._id });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedCount: deletedCount },
+        "User logged out of all sessions"
+      )
+    );
+});
+
+const unpublishVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    { $set: { isPublished: false } },
+    { new: true }
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  await recordAdminAction(req, "video_unpublished", {
+    userId: video.owner,
+    videoId: video._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { video }, "Video unpublished successfully"));
+});
+
+export { listUsers, banUser, unbanUser, forceLogoutUser, unpublishVideo };
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Notification } from "../models/notification.model.js";
+import { notify } from "../utils/notifications.js";
+
+// Loads a comment and makes sure the current user wrote it.
+const findOwnedComment = async (commentId, userId) => {
+  const comment = await Comment.findById(commentId);
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  if (!comment.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this comment");
+  }
+
+  return comment;
+};
+
+const getVideoComments = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const { page, limit } = req.query;
+
+  // owners also read the comments on their unpublished videos
+  const video = await Video.exists({
+    _id: videoId,
+    $or: [
+      { isPublished: true },
+      ...(req.user ? [{ owner: req.user._id }] : []),
+    ],
+  });
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const aggregate = Comment.aggregate([
+    { $match: { video: new mongoose.Types.ObjectId(videoId) } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+      },
+    },
+    { $addFields: { owner: { $first: "$owner" } } },
+  ]);
+
+  const comments = await Comment.aggregatePaginate(aggregate, { page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+const addComment = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const { content } = req.body;
+
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [{ isPublished: true }, { owner: req.user._id }],
+  }).select("owner");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const comment = await Comment.create({
+    content,
+    video: videoId,
+    owner: req.user._id,
+  });
+
+  await notify({
+    recipient: video.owner,
+    actor: req.user._id,
+    type: "video_comment",
+    video: video._id,
+    comment: comment._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { comment }, "Comment added successfully"));
+});
+
+const updateComment = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+
+  const comment = await findOwnedComment(req.params.commentId, req.user._id);
+
+  comment.content = content;
+  await comment.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { comment }, "Comment updated successfully"));
+});
+
+const deleteComment = asyncHandler(async (req, res) => {
+  const comment = await findOwnedComment(req.params.commentId, req.user._id);
+
+  await comment.deleteOne();
+  await Like.deleteMany({ comment: comment._id });
+  await Notification.deleteMany({ comment: comment._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+export { getVideoComments, addComment, updateComment, deleteComment };
@@ -0,0 +1,148 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { VideoView } from "../models/videoView.model.js";
+
+const DAY_FORMAT = "%Y-%m-%d";
+
+// Turns [{ _id: "2025-01-02", count }] into one entry per day of the range.
+const fillDailySeries = (rows, from, to) => {
+  const counts = new Map(rows.map((row) => [row._id, row.count]));
+  const series = [];
+
+  const day = new Date(from);
+  day.setUTCHours(0, 0, 0, 0);
+
+  while (day <= to) {
+    const key = day.toISOString().slice(0, 10);
+    series.push({ date: key, count: counts.get(key) ?? 0 });
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  return series;
+};
+
+const getChannelStats = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  const channelId = req.user._id;
+
+  const [totals] = await Video.aggregate([
+    {
+      $match: { owner: channelId },
+    },
+    {
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "video",
+        as: "likes",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        totalVideos: { $sum: 1 },
+        totalViews: { $sum: "$views" },
+        totalLikes: { $sum: { $size: "$likes" } },
+      },
+    },
+  ]);
+
+  const [subscribers] = await Subscription.aggregate([
+    {
+      $match: { channel: channelId },
+    },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        daily: [
+          { $match: { createdAt: { $gte: from, $lte: to } } },
+          {
+            $group: {
+              _id: {
+                $dateToString: { format: DAY_FORMAT, date: "$createdAt" },
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const dailyViews = await VideoView.aggregate([
+    {
+      $match: { owner: channelId, day: { $gte: from, $lte: to } },
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: DAY_FORMAT, date: "$day" } },
+        count: { $sum: "$count" },
+      },
+    },
+  ]);
+
+  const stats = {
+    totalVideos: totals?.totalVideos ?? 0,
+    totalViews: totals?.totalViews ?? 0,
+    totalLikes: totals?.totalLikes ?? 0,
+    totalSubscribers: subscribers.total[0]?.count ?? 0,
+    range: { from, to },
+    subscribersPerDay: fillDailySeries(subscribers.daily, from, to),
+    viewsPerDay: fillDailySeries(dailyViews, from, to),
+  };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats, "Channel stats fetched successfully"));
+});
+
+// All of the owner's videos, unpublished ones included.
+const getChannelVideos = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const aggregate = Video.aggregate([
+    {
+      $match: { owner: req.user._id },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "video",
+        as: "likes",
+      },
+    },
+    {
+      $lookup: {
+        from: "comments",
+        localField: "_id",
+        foreignField: "video",
+        as: "comments",
+      },
+    },
+    {
+      $addFields: {
+        likesCount: {
+          $size: "$likes",
+        },
+        commentsCount: {
+          $size: "$comments",
+        },
+      },
+    },
+    {
+      $project: { likes: 0, comments: 0 },
+    },
+  ]);
+
+  const videos = await Video.aggregatePaginate(aggregate, { page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+export { getChannelStats, getChannelVideos };
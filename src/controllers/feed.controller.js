@@ -0,0 +1,64 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { afterCursor, toCursorPage } from "../utils/cursorPagination.js";
+
+// Published videos of every channel the current user subscribes to, newest
+// first. With the { owner, isPublished, createdAt, _id } index MongoDB merges
+// one sorted index scan per channel, but only up to 200 channels
+// (internalQueryMaxScansToExplode). Past that it reads the index entries of
+// all the channels, bounded by the cursor's createdAt, and keeps the newest
+// `limit` in memory, so the cost grows with the size of those channels.
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  const channelIds = await Subscription.find({
+    subscriber: req.user._id,
+  }).distinct("channel");
+
+  const videos = await Video.aggregate([
+    {
+      $match: {
+        owner: { $in: channelIds },
+        isPublished: true,
+        ...afterCursor(cursor),
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+      },
+    },
+    { $addFields: { owner: { $first: "$owner" } } },
+    {
+      $project: {
+        thumbnail: 1,
+        title: 1,
+        description: 1,
+        duration: 1,
+        views: 1,
+        createdAt: 1,
+        owner: 1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toCursorPage(videos, limit),
+        "Feed fetched successfully"
+      )
+    );
+});
+
+export { getSubscriptionFeed };
@@ -0,0 +1,172 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { notify } from "../utils/notifications.js";
+
+// Likes the target if the user has not liked it yet, otherwise removes the like.
+const toggleLike = async (target, targetId, userId) => {
+  const removed = await Like.findOneAndDelete({
+    [target]: targetId,
+    likedBy: userId,
+  });
+
+  if (removed) return false;
+
+  try {
+    await Like.create({ [target]: targetId, likedBy: userId });
+  } catch (err) {
+    // a concurrent request already created the like
+    if (err?.code !== 11000) throw err;
+  }
+
+  return true;
+};
+
+const toggleVideoLike = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [{ isPublished: true }, { owner: req.user._id }],
+  }).select("owner");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const isLiked = await toggleLike("video", videoId, req.user._id);
+
+  if (isLiked) {
+    await notify({
+      recipient: video.owner,
+      actor: req.user._id,
+      type: "video_like",
+      video: video._id,
+    });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isLiked },
+        isLiked ? "Video liked successfully" : "Video unliked successfully"
+      )
+    );
+});
+
+const toggleCommentLike = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await Comment.findById(commentId).select("owner video");
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const isLiked = await toggleLike("comment", commentId, req.user._id);
+
+  if (isLiked) {
+    await notify({
+      recipient: comment.owner,
+      actor: req.user._id,
+      type: "comment_like",
+      video: comment.video,
+      comment: comment._id,
+    });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isLiked },
+        isLiked ? "Comment liked successfully" : "Comment unliked successfully"
+      )
+    );
+});
+
+const toggleTweetLike = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+
+  const tweet = await Tweet.findById(tweetId).select("owner");
+
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
+  }
+
+  const isLiked = await toggleLike("tweet", tweetId, req.user._id);
+
+  if (isLiked) {
+    await notify({
+      recipient: tweet.owner,
+      actor: req.user._id,
+      type: "tweet_like",
+      tweet: tweet._id,
+    });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isLiked },
+        isLiked ? "Tweet liked successfully" : "Tweet unliked successfully"
+      )
+    );
+});
+
+const getLikedVideos = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const aggregate = Like.aggregate([
+    {
+      $match: { likedBy: req.user._id, video: { $exists: true } },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              $or: [{ isPublished: true }, { owner: req.user._id }],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+            },
+          },
+          { $addFields: { owner: { $first: "$owner" } } },
+        ],
+      },
+    },
+    { $unwind: "$video" },
+    { $project: { video: 1, likedAt: "$createdAt" } },
+  ]);
+
+  const likedVideos = await Like.aggregatePaginate(aggregate, { page, limit });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
+    );
+});
+
+export { toggleVideoLike, toggleCommentLike, toggleTweetLike, getLikedVideos };
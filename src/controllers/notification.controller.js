@@ -0,0 +1,223 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Notification } from "../models/notification.model.js";
+import { NotificationMute } from "../models/notificationMute.model.js";
+import { Session } from "../models/session.model.js";
+import { User } from "../models/user.model.js";
+import { subscribeToNotifications } from "../utils/notifications.js";
+import { afterCursor, toCursorPage } from "../utils/cursorPagination.js";
+
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+const countUnread = (userId) =>
+  Notification.countDocuments({ recipient: userId, readAt: null });
+
+const getNotifications = asyncHandler(async (req, res) => {
+  const { cursor, limit, unread } = req.query;
+
+  const match = { recipient: req.user._id, ...afterCursor(cursor) };
+  if (unread !== undefined) match.readAt = unread ? null : { $ne: null };
+
+  const notifications = await Notification.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: "users",
+        localField: "actor",
+        foreignField: "_id",
+        as: "actor",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [{ $project: { title: 1, thumbnail: 1 } }],
+      },
+    },
+    {
+      $addFields: {
+        actor: { $first: "$actor" },
+        video: { $first: "$video" },
+      },
+    },
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...toCursorPage(notifications, limit),
+        unreadCount: await countUnread(req.user._id),
+      },
+      "Notifications fetched successfully"
+    )
+  );
+});
+
+// Server-Sent Events: sends `unread-count` once, then a `notification` event
+// for every new notification. The stream ends when the access token expires
+// or the session is revoked; EventSource reconnects on its own, which
+// re-authenticates with the refreshed token.
+const streamNotifications = asyncHandler(async (req, res) => {
+  const unreadCount = await countUnread(req.user._id);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx would otherwise hold events back
+  });
+  res.flushHeaders();
+
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const unsubscribe = subscribeToNotifications(req.user._id, (notification) =>
+    send("notification", notification)
+  );
+
+  const heartbeat = setInterval(async () => {
+    const session = await Session.exists({ _id: req.sessionId }).catch(
+      () => true
+    );
+    if (!session) return res.end();
+    res.write(": ping\n\n");
+  }, STREAM_HEARTBEAT_MS);
+
+  const expiry = setTimeout(
+    () => res.end(),
+    Math.max(0, req.accessTokenExpiresAt - Date.now())
+  );
+
+  req.on("close", () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+
+  send("unread-count", { unreadCount });
+});
+
+const setReadAt = async (req, readAt) => {
+  const { notificationId } = req.params;
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, recipient: req.user._id },
+    { $set: { readAt } },
+    { new: true }
+  );
+
+  if (!notification) {
+    throw new ApiError(404, "Notification not found");
+  }
+
+  return notification;
+};
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await setReadAt(req, new Date());
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { notification }, "Notification marked as read")
+    );
+});
+
+const markNotificationUnread = asyncHandler(async (req, res) => {
+  const notification = await setReadAt(req, null);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { notification }, "Notification marked as unread")
+    );
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { recipient: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { markedCount: modifiedCount },
+        "All notifications marked as read"
+      )
+    );
+});
+
+const getMutedChannels = asyncHandler(async (req, res) => {
+  const mutes = await NotificationMute.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .populate("channel", "username fullName avatar")
+    .lean();
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        channels: mutes
+          .filter((mute) => mute.channel)
+          .map((mute) => ({ ...mute.channel, mutedAt: mute.createdAt })),
+      },
+      "Muted channels fetched successfully"
+    )
+  );
+});
+
+const muteChannel = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (req.user._id.equals(channelId)) {
+    throw new ApiError(400, "You cannot mute your own channel");
+  }
+
+  const channel = await User.exists({ _id: channelId });
+
+  if (!channel) {
+    throw new ApiError(404, "Channel not found");
+  }
+
+  await NotificationMute.updateOne(
+    { user: req.user._id, channel: channelId },
+    { $setOnInsert: { user: req.user._id, channel: channelId } },
+    { upsert: true }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { isMuted: true }, "Channel muted"));
+});
+
+const unmuteChannel = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  await NotificationMute.deleteOne({ user: req.user._id, channel: channelId });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { isMuted: false }, "Channel unmuted"));
+});
+
+export {
+  getNotifications,
+  streamNotifications,
+  markNotificationRead,
+  markNotificationUnread,
+  markAllNotificationsRead,
+  getMutedChannels,
+  muteChannel,
+  unmuteChannel,
+};
@@ -0,0 +1,241 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
+import { lookupInOrder } from "../utils/lookupInOrder.js";
+
+// Loads a playlist and makes sure the current user owns it.
+const findOwnedPlaylist = async (playlistId, userId) => {
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  if (!playlist.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this playlist");
+  }
+
+  return playlist;
+};
+
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description, visibility } = req.body;
+
+  const playlist = await Playlist.create({
+    name,
+    description,
+    visibility,
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { playlist }, "Playlist created successfully"));
+});
+
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  // unlisted and private playlists are only listed for their owner
+  const isOwner = req.user._id.equals(userId);
+
+  const playlists = await Playlist.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(userId),
+        ...(isOwner ? {} : { visibility: "public" }),
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $addFields: {
+        videosCount: { $size: "$videos" },
+      },
+    },
+    { $project: { videos: 0 } },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { playlists }, "Playlists fetched successfully")
+    );
+});
+
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  const userId = req.user._id;
+
+  const [playlist] = await Playlist.aggregate([
+    {
+      $match: { _id: new mongoose.Types.ObjectId(playlistId) },
+    },
+    ...lookupInOrder({
+      from: "videos",
+      field: "videos",
+      pipeline: [
+        {
+          $match: { $or: [{ isPublished: true }, { owner: userId }] },
+        },
+        {
+          $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+          },
+        },
+        { $addFields: { owner: { $first: "$owner" } } },
+      ],
+    }),
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+      },
+    },
+    { $addFields: { owner: { $first: "$owner" } } },
+  ]);
+
+  // private playlists behave as if they did not exist for anyone else
+  if (
+    !playlist ||
+    (playlist.visibility === "private" && !playlist.owner?._id.equals(userId))
+  ) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { playlist }, "Playlist fetched successfully"));
+});
+
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const { name, description, visibility } = req.body;
+
+  const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+  if (name !== undefined) playlist.name = name;
+  if (description !== undefined) playlist.description = description;
+  if (visibility !== undefined) playlist.visibility = visibility;
+
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { playlist }, "Playlist updated successfully"));
+});
+
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+  await playlist.deleteOne();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+  const video = await Video.exists({
+    _id: videoId,
+    $or: [{ isPublished: true }, { owner: req.user._id }],
+  });
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (playlist.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(409, "Video is already in the playlist");
+  }
+
+  playlist.videos.push(videoId);
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { playlist }, "Video added to playlist successfully")
+    );
+});
+
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+  if (!playlist.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(404, "Video is not in the playlist");
+  }
+
+  playlist.videos.pull(videoId);
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { playlist },
+        "Video removed from playlist successfully"
+      )
+    );
+});
+
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const { position } = req.body;
+
+  const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+  const videos = [...playlist.videos];
+  const from = videos.findIndex((id) => id.equals(videoId));
+
+  if (from === -1) {
+    throw new ApiError(404, "Video is not in the playlist");
+  }
+
+  if (position >= videos.length) {
+    throw new ApiError(
+      400,
+      `Position must be between 0 and ${videos.length - 1}`
+    );
+  }
+
+  const [moved] = videos.splice(from, 1);
+  videos.splice(position, 0, moved);
+
+  playlist.videos = videos;
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { playlist }, "Playlist order updated successfully")
+    );
+});
+
+export {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  moveVideoInPlaylist,
+};
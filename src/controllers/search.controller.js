@@ -0,0 +1,164 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { SEARCH_TYPES } from "../validations/search.validations.js";
+
+// Channels are ranked by text score first, so subscriber counts are only
+// looked up for this many best matches.
+const CHANNEL_CANDIDATES = 200;
+
+const ownerLookup = {
+  $lookup: {
+    from: "users",
+    localField: "owner",
+    foreignField: "_id",
+    as: "owner",
+    pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+  },
+};
+
+const searchVideos = (q, limit) =>
+  Video.aggregate([
+    { $match: { $text: { $search: q }, isPublished: true } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    { $sort: { score: -1, views: -1 } },
+    { $limit: limit },
+    ownerLookup,
+    {
+      $project: {
+        thumbnail: 1,
+        title: 1,
+        description: 1,
+        duration: 1,
+        views: 1,
+        createdAt: 1,
+        owner: { $first: "$owner" },
+        score: 1,
+      },
+    },
+  ]);
+
+const searchChannels = (q, limit) =>
+  User.aggregate([
+    { $match: { $text: { $search: q }, isBanned: { $ne: true } } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    { $sort: { score: -1 } },
+    { $limit: CHANNEL_CANDIDATES },
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "subscribers",
+        pipeline: [{ $count: "count" }],
+      },
+    },
+    {
+      $addFields: {
+        subscribersCount: { $ifNull: [{ $first: "$subscribers.count" }, 0] },
+      },
+    },
+    { $sort: { score: -1, subscribersCount: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        username: 1,
+        fullName: 1,
+        avatar: 1,
+        subscribersCount: 1,
+        score: 1,
+      },
+    },
+  ]);
+
+// only public playlists show up, unlisted ones need their link
+const searchPlaylists = (q, limit) =>
+  Playlist.aggregate([
+    { $match: { $text: { $search: q }, visibility: "public" } },
+    {
+      $addFields: {
+        score: { $meta: "textScore" },
+        videosCount: { $size: "$videos" },
+      },
+    },
+    { $sort: { score: -1, videosCount: -1 } },
+    { $limit: limit },
+    ownerLookup,
+    {
+      $project: {
+        name: 1,
+        description: 1,
+        videosCount: 1,
+        updatedAt: 1,
+        owner: { $first: "$owner" },
+        score: 1,
+      },
+    },
+  ]);
+
+const searchers = {
+  videos: searchVideos,
+  channels: searchChannels,
+  playlists: searchPlaylists,
+};
+
+// Results grouped by type, each ranked by text score. Pass `type` to search
+// a single type.
+const search = asyncHandler(async (req, res) => {
+  const { q, type, limit } = req.query;
+
+  const types = type ? [type] : SEARCH_TYPES;
+  const results = await Promise.all(
+    types.map((name) => searchers[name](q, limit))
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        Object.fromEntries(types.map((name, i) => [name, results[i]])),
+        "Search results fetched successfully"
+      )
+    );
+});
+
+// Prefix matches for a search box, grouped like search results. Text indexes
+// only match whole words, so this uses anchored regexes. They run against
+// lowercase fields (usernames, titleLower) so the indexes can serve them.
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const { q, limit } = req.query;
+
+  const [channels, videos] = await Promise.all([
+    User.find({
+      username: new RegExp(`^${escapeRegex(q.toLowerCase())}`),
+      isBanned: { $ne: true },
+    })
+      .select("username fullName avatar")
+      .limit(limit)
+      .lean(),
+    Video.find({
+      titleLower: new RegExp(`^${escapeRegex(q.toLowerCase())}`),
+      isPublished: true,
+    })
+      .sort({ views: -1 })
+      .select("title")
+      .limit(limit)
+      .lean(),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { channels, videos },
+        "Suggestions fetched successfully"
+      )
+    );
+});
+
+export { search, getSearchSuggestions };
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { Subscription } from "../models/subscription.model.js";
+
+// Joins the user found at `localField` as a small public profile.
+const lookupUser = (localField) => [
+  {
+    $lookup: {
+      from: "users",
+      localField,
+      foreignField: "_id",
+      as: localField,
+      pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+    },
+  },
+  { $addFields: { [localField]: { $first: `$${localField}` } } },
+];
+
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (req.user._id.equals(channelId)) {
+    throw new ApiError(400, "You cannot subscribe to your own channel");
+  }
+
+  const channel = await User.exists({ _id: channelId });
+
+  if (!channel) {
+    throw new ApiError(404, "Channel not found");
+  }
+
+  const removed = await Subscription.findOneAndDelete({
+    subscriber: req.user._id,
+    channel: channelId,
+  });
+
+  if (removed) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { isSubscribed: false },
+          "Unsubscribed successfully"
+        )
+      );
+  }
+
+  try {
+    await Subscription.create({ subscriber: req.user._id, channel: channelId });
+  } catch (err) {
+    // a concurrent request already created the subscription
+    if (err?.code !== 11000) throw err;
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully")
+    );
+});
+
+// list of users subscribed to a channel
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  const { page, limit } = req.query;
+
+  const aggregate = Subscription.aggregate([
+    { $match: { channel: new mongoose.Types.ObjectId(channelId) } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...lookupUser("subscriber"),
+    { $project: { subscriber: 1, createdAt: 1 } },
+  ]);
+
+  const subscribers = await Subscription.aggregatePaginate(aggregate, {
+    page,
+    limit,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    );
+});
+
+// list of channels a user has subscribed to
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  const { subscriberId } = req.params;
+
+  const { page, limit } = req.query;
+
+  const aggregate = Subscription.aggregate([
+    { $match: { subscriber: new mongoose.Types.ObjectId(subscriberId) } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...lookupUser("channel"),
+    { $project: { channel: 1, createdAt: 1 } },
+  ]);
+
+  const channels = await Subscription.aggregatePaginate(aggregate, {
+    page,
+    limit,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    );
+});
+
+export { toggleSubscription, getUserChannelSubscribers, getSubscribedChannels };
@@ -0,0 +1,186 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Tweet } from "../models/tweet.model.js";
+import { User } from "../models/user.model.js";
+import { Like } from "../models/like.model.js";
+import { Notification } from "../models/notification.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { afterCursor, toCursorPage } from "../utils/cursorPagination.js";
+import { uploadTrackedImage, deleteImage } from "../utils/storage/index.js";
+
+// Loads a post and makes sure the current user wrote it.
+const findOwnedTweet = async (tweetId, userId) => {
+  const tweet = await Tweet.findById(tweetId);
+
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
+  }
+
+  if (!tweet.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this tweet");
+  }
+
+  return tweet;
+};
+
+const uploadPostImage = async (req) => {
+  if (!req.file?.path) return null;
+
+  const image = await uploadTrackedImage(req, req.file.path, {
+    folder: "posts",
+    preset: "post",
+  });
+
+  if (!image) {
+    throw new ApiError(500, "Failed to upload image to storage");
+  }
+
+  return image;
+};
+
+// owner, likesCount and isLiked (for the current user, if any)
+const postDetailsStages = (userId) => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "tweet",
+      as: "likes",
+    },
+  },
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      owner: { $first: "$owner" },
+      likesCount: { $size: "$likes" },
+      isLiked: {
+        $cond: {
+          if: { $in: [userId, "$likes.likedBy"] },
+          then: true,
+          else: false,
+        },
+      },
+    },
+  },
+  { $project: { likes: 0 } },
+];
+
+const createTweet = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+
+  const image = await uploadPostImage(req);
+
+  const tweet = await Tweet.create({
+    content,
+    image: image ?? undefined,
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { tweet }, "Tweet created successfully"));
+});
+
+// A new image replaces the old one, removeImage=true drops it.
+const updateTweet = asyncHandler(async (req, res) => {
+  const { content, removeImage } = req.body;
+
+  if (!content && !removeImage && !req.file) {
+    throw new ApiError(400, "Provide content or an image to update");
+  }
+
+  const tweet = await findOwnedTweet(req.params.tweetId, req.user._id);
+  const oldImage = tweet.image?.toObject();
+
+  const image = await uploadPostImage(req);
+
+  if (content) tweet.content = content;
+  if (image) tweet.image = image;
+  else if (removeImage) tweet.image = undefined;
+
+  await tweet.save();
+
+  if (image || removeImage) {
+    await deleteImage(oldImage);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { tweet }, "Tweet updated successfully"));
+});
+
+const deleteTweet = asyncHandler(async (req, res) => {
+  const tweet = await findOwnedTweet(req.params.tweetId, req.user._id);
+
+  await tweet.deleteOne();
+  await Like.deleteMany({ tweet: tweet._id });
+  await Notification.deleteMany({ tweet: tweet._id });
+  await deleteImage(tweet.image);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Tweet deleted successfully"));
+});
+
+const getChannelPosts = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const channel = await User.findOne({
+    username: req.params.username,
+  }).select("_id");
+
+  if (!channel) {
+    throw new ApiError(404, "User channel not found");
+  }
+
+  const aggregate = Tweet.aggregate([
+    { $match: { owner: channel._id } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...postDetailsStages(req.user?._id),
+  ]);
+
+  const posts = await Tweet.aggregatePaginate(aggregate, { page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, posts, "Posts fetched successfully"));
+});
+
+// Posts of every channel the current user subscribes to, newest first. Like
+// the video feed, this is a merge of per-channel index scans only up to 200
+// channels, see feed.controller.js.
+const getPostsFeed = asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  const channelIds = await Subscription.find({
+    subscriber: req.user._id,
+  }).distinct("channel");
+
+  const posts = await Tweet.aggregate([
+    { $match: { owner: { $in: channelIds }, ...afterCursor(cursor) } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    ...postDetailsStages(req.user._id),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toCursorPage(posts, limit),
+        "Feed fetched successfully"
+      )
+    );
+});
+
+export { createTweet, updateTweet, deleteTweet, getChannelPosts, getPostsFeed };
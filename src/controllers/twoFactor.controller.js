@@ -0,0 +1,131 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import {
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../utils/recoveryCodes.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+} from "../utils/totp.js";
+
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactor?.enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "twoFactor.pendingSecret": secret } }
+  );
+
+  const otpauthUri = buildOtpauthUri(
+    secret,
+    req.user.email,
+    process.env.TWO_FACTOR_ISSUER || "javascript-backend"
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUri },
+        "Scan the code with your authenticator app, then confirm it"
+      )
+    );
+});
+
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret"
+  );
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, "Start two-factor enrollment first");
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+
+  if (step === null) {
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+      },
+      $unset: { "twoFactor.pendingSecret": "" },
+    }
+  );
+
+  // the plain codes are shown this once and never stored
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes },
+        "Two-factor authentication enabled successfully"
+      )
+    );
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  const isPasswordValid = await user.isPasswordCorrect(password);
+
+  if (!isPasswordValid) {
+    throw new ApiError(401, "Invalid password");
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.lastUsedStep": "",
+        "twoFactor.recoveryCodes": "",
+      },
+    }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "Two-factor authentication disabled successfully"
+      )
+    );
+});
+
+export { enrollTwoFactor, confirmTwoFactor, disableTwoFactor };
@@ -2,31 +2,149 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { Session } from "../models/session.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import { uploadTrackedImage, deleteImage } from "../utils/storage/index.js";
 import { generateAccessAndRefreshToken } from "../utils/generateAccessAndRefreshToken.js";
-import jwt from "jsonwebtoken";
+import { hashToken } from "../utils/hashToken.js";
+import { issueAuthToken, consumeAuthToken } from "../utils/authToken.js";
+import { lookupInOrder } from "../utils/lookupInOrder.js";
+import { sendMail } from "../utils/mailer.js";
+import { verifyTotp } from "../utils/totp.js";
+import { hashRecoveryCode } from "../utils/recoveryCodes.js";
+import {
+  getLoginKeys,
+  getLockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginLockout.js";
 import {
-  registerSchema,
-  loginSchema,
-} from "../validations/user.validations.js";
+  EMAIL_VERIFICATION_TOKEN_TTL_MS,
+  PASSWORD_RESET_TOKEN_TTL_MS,
+} from "../constants.js";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import mongoose from "mongoose";
 
-const registerUser = asyncHandler(async (req, res) => {
-  // 1. Validate input data using Zod
-  const parsed = registerSchema.safeParse(req.body);
+// compared against when the account does not exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+// Throws a 429 with Retry-After while any of the login keys is locked out.
+const assertNotLockedOut = async (res, loginKeys) => {
+  const lockedForMs = await getLockoutRemaining(loginKeys);
 
-  if (!parsed.success) {
+  if (lockedForMs > 0) {
+    const retryAfter = Math.ceil(lockedForMs / 1000);
+    res.set("Retry-After", String(retryAfter));
     throw new ApiError(
-      400,
-      "Validation Failed",
-      parsed.error.flatten().fieldErrors
+      429,
+      `Too many failed login attempts. Try again in ${retryAfter} seconds.`
     );
   }
+};
+
+// Opens a new session for the user and sends the token pair.
+const sendLoginResponse = async (req, res, userId) => {
+  const { accessToken, refreshToken } = await generateAccessAndRefreshToken(
+    userId,
+    { userAgent: req.get("user-agent"), ip: req.ip }
+  );
+
+  const loggedInUser = await User.findById(userId).select("-password");
 
-  const { username, email, fullName, password } = parsed.data;
+  const cookieOptions = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .json(
+      new ApiResponse(
+        200,
+        {
+          user: loggedInUser,
+          accessToken,
+          refreshToken,
+        },
+        "User logged in successfully"
+      )
+    );
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(
+    user._id,
+    "email_verification",
+    EMAIL_VERIFICATION_TOKEN_TTL_MS
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email",
+    text: [
+      `Hi ${user.fullName},`,
+      "",
+      "Confirm your email address by opening this link:",
+      `${process.env.CLIENT_URL}/verify-email?token=${token}`,
+      "",
+      "The link expires in 24 hours.",
+    ].join("\n"),
+  });
+};
+
+// Sent to the new address, the change only happens once it is confirmed.
+const sendEmailChangeEmail = async (user) => {
+  const token = await issueAuthToken(
+    user._id,
+    "email_change",
+    EMAIL_VERIFICATION_TOKEN_TTL_MS
+  );
+
+  await sendMail({
+    to: user.pendingEmail,
+    subject: "Confirm your new email",
+    text: [
+      `Hi ${user.fullName},`,
+      "",
+      "Confirm your new email address by opening this link:",
+      `${process.env.CLIENT_URL}/verify-email?token=${token}`,
+      "",
+      `Until then you keep signing in with ${user.email}. The link expires in 24 hours.`,
+    ].join("\n"),
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAuthToken(
+    user._id,
+    "password_reset",
+    PASSWORD_RESET_TOKEN_TTL_MS
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.fullName},`,
+      "",
+      "Reset your password by opening this link:",
+      `${process.env.CLIENT_URL}/reset-password?token=${token}`,
+      "",
+      "The link expires in 30 minutes. If you did not ask for this, ignore this email.",
+    ].join("\n"),
+  });
+};
+
+const registerUser = asyncHandler(async (req, res) => {
+  // 1. Input data was validated by the route's validate middleware
+  const { username, email, fullName, password } = req.body;
 
   // 2. Check if user already exists
   const preUser = await User.findOne({
-    $or: [{ username: username.toLowerCase() }, { email }],
+    $or: [{ username }, { email }],
   });
 
   if (preUser) {
@@ -40,30 +158,56 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar file is required");
   }
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await uploadTrackedImage(req, avatarLocalPath, {
+    folder: "avatars",
+    preset: "avatar",
+  });
 
-  if (!avatar?.url) {
-    throw new ApiError(400, "Failed to upload avatar to cloud");
+  if (!avatar) {
+    throw new ApiError(400, "Failed to upload avatar to storage");
   }
 
+  const coverImageLocalPath = req.files?.coverImage?.[0]?.path;
+  const coverImage = coverImageLocalPath
+    ? await uploadTrackedImage(req, coverImageLocalPath, {
+        folder: "covers",
+        preset: "coverImage",
+      })
+    : null;
+
   // 4. Create new user
-  const newUser = await User.create({
-    username: username.toLowerCase(),
-    email,
-    fullName,
-    password,
-    avatar: avatar.url,
-  });
+  let newUser;
+  try {
+    newUser = await User.create({
+      username,
+      email,
+      fullName,
+      password,
+      avatar,
+      coverImage: coverImage ?? undefined,
+    });
+  } catch (err) {
+    // registered by a concurrent request since the check above
+    if (err?.code === 11000) {
+      throw new ApiError(409, "User already registered with username or email");
+    }
+    throw err;
+  }
 
   // 5. Fetch the created user without sensitive fields
-  const createdUser = await User.findById(newUser._id).select(
-    "-password -refreshToken"
-  );
+  const createdUser = await User.findById(newUser._id).select("-password");
 
   if (!createdUser) {
     throw new ApiError(500, "Something went wrong while fetching user");
   }
 
+  // the account stays unverified until the mailed link is opened
+  try {
+    await sendVerificationEmail(createdUser);
+  } catch (err) {
+    console.error("Failed to send verification email:", err);
+  }
+
   // 6. Return success response
   return res
     .status(201)
@@ -71,68 +215,120 @@ const registerUser = asyncHandler(async (req, res) => {
 });
 
 const loginUser = asyncHandler(async (req, res) => {
-  const parsed = loginSchema.safeParse(req.body);
+  const { username, email, password } = req.body;
+  const identifier = email ?? username;
 
-  if (!parsed.success) {
-    const { fieldErrors, formErrors } = parsed.error.flatten();
-    throw new ApiError(400, "Validation failed", {
-      ...fieldErrors,
-      formErrors,
-    });
+  const user = await User.findOne(
+    email ? { email: identifier } : { username: identifier }
+  );
+
+  const loginKeys = getLoginKeys(user?._id ?? identifier, req.ip);
+  await assertNotLockedOut(res, loginKeys);
+
+  const isPasswordValid = user
+    ? await user.isPasswordCorrect(password)
+    : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+  // one message for unknown accounts and wrong passwords alike
+  if (!user || !isPasswordValid) {
+    await recordLoginFailure(loginKeys);
+    throw new ApiError(401, "Invalid credentials");
   }
 
-  const { username, email, password } = parsed.data;
+  await clearLoginFailures(loginKeys);
 
-  const user = await User.findOne({ $or: [{ username }, { email }] });
+  if (user.isBanned) {
+    throw new ApiError(403, "This account has been banned");
+  }
 
-  if (!user) {
-    throw new ApiError(401, "Invalid credentials - user not found");
+  if (!user.isEmailVerified) {
+    throw new ApiError(403, "Please verify your email before logging in");
   }
 
-  const isPasswordValid = await user.isPasswordCorrect(password);
+  // the password alone is not enough, the client has to pass the challenge
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          twoFactorRequired: true,
+          challengeToken: user.generateTwoFactorChallengeToken(),
+        },
+        "Two-factor authentication required"
+      )
+    );
+  }
 
-  if (!isPasswordValid) {
-    throw new ApiError(401, "Invalid credentials - wrong password");
+  return sendLoginResponse(req, res, user._id);
+});
+
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(challengeToken, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Challenge expired, please log in again");
   }
 
-  const { accessToken, refreshToken } = await generateAccessAndRefreshToken(
-    user._id
-  );
+  if (decodedToken.purpose !== "2fa_challenge") {
+    throw new ApiError(401, "Invalid challenge token");
+  }
 
-  const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken"
+  const user = await User.findById(decodedToken._id).select(
+    "+twoFactor.secret +twoFactor.lastUsedStep"
   );
 
-  const cookieOptions = {
-    httpOnly: true,
-    secure: true,
-  };
+  if (!user?.twoFactor?.enabled) {
+    throw new ApiError(401, "Invalid challenge token");
+  }
 
-  return res
-    .status(200)
-    .cookie("accessToken", accessToken, cookieOptions)
-    .cookie("refreshToken", refreshToken, cookieOptions)
-    .json(
-      new ApiResponse(
-        200,
+  const loginKeys = getLoginKeys(user._id, req.ip);
+  await assertNotLockedOut(res, loginKeys);
+
+  // both updates are conditional, so a code is only ever accepted once
+  let result;
+  if (code) {
+    const step = verifyTotp(
+      user.twoFactor.secret,
+      code,
+      user.twoFactor.lastUsedStep ?? -1
+    );
+
+    if (step !== null) {
+      result = await User.updateOne(
         {
-          user: loggedInUser,
-          accessToken,
-          refreshToken,
+          _id: user._id,
+          $or: [
+            { "twoFactor.lastUsedStep": { $lt: step } },
+            { "twoFactor.lastUsedStep": { $exists: false } },
+          ],
         },
-        "User logged in successfully"
-      )
+        { $set: { "twoFactor.lastUsedStep": step } }
+      );
+    }
+  } else {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": codeHash },
+      { $pull: { "twoFactor.recoveryCodes": codeHash } }
     );
+  }
+
+  if (!result?.modifiedCount) {
+    await recordLoginFailure(loginKeys);
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  await clearLoginFailures(loginKeys);
+
+  return sendLoginResponse(req, res, user._id);
 });
 
 const logOutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $set: { refreshToken: undefined },
-    },
-    { new: true }
-  );
+  // only this device is logged out, other sessions stay active
+  await Session.deleteOne({ _id: req.sessionId, user: req.user._id });
 
   const cookieOptions = {
     httpOnly: true,
@@ -147,6 +343,12 @@ const logOutUser = asyncHandler(async (req, res) => {
 });
 
 const refreshAccessToken = asyncHandler(async (req, res) => {
+  const cookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "Strict",
+  };
+
   const incomingRefreshToken =
     req.cookies.refreshToken || req.body.refreshToken;
 
@@ -164,32 +366,56 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Invalid or expired refresh token");
   }
 
-  const user = await User.findById(decodedToken._id);
-  if (!user) {
-    throw new ApiError(404, "User not found");
+  const session = await Session.findOne({
+    _id: decodedToken.sid,
+    user: decodedToken._id,
+  });
+
+  if (!session) {
+    throw new ApiError(401, "Session expired or revoked");
   }
 
-  if (incomingRefreshToken !== user.refreshToken) {
+  // A validly signed token that is not the newest of its family was already
+  // rotated, so someone is replaying it. Drop the whole family.
+  if (
+    decodedToken.gen !== session.generation ||
+    hashToken(incomingRefreshToken) !== session.refreshTokenHash
+  ) {
+    await Session.deleteOne({ _id: session._id });
+    await SecurityEvent.create({
+      user: session.user,
+      type: "refresh_token_reuse",
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      details: {
+        sessionId: session._id,
+        presentedGeneration: decodedToken.gen,
+        currentGeneration: session.generation,
+      },
+    });
+
+    res.clearCookie("accessToken", cookieOptions);
+    res.clearCookie("refreshToken", cookieOptions);
+
     throw new ApiError(
-      403,
-      "Refresh token mismatch. Possibly expired or tampered."
+      401,
+      "Refresh token reuse detected. Please log in again."
     );
   }
 
   const { accessToken, refreshToken: newRefreshToken } =
-    await generateAccessAndRefreshToken(user._id);
+    await generateAccessAndRefreshToken(session.user, {
+      sessionId: session._id,
+      generation: session.generation,
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
 
-  const loggedInUser = await User.findByIdAndUpdate(
-    user._id,
-    { refreshToken: newRefreshToken },
-    { new: true }
-  ).select("-password -refreshToken");
+  const loggedInUser = await User.findById(session.user).select("-password");
 
-  const cookieOptions = {
-    httpOnly: true,
-    secure: true,
-    sameSite: "Strict",
-  };
+  if (!loggedInUser) {
+    throw new ApiError(404, "User not found");
+  }
 
   res
     .status(200)
@@ -207,14 +433,6 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 const changeCurrentPassword = asyncHandler(async (req, res) => {
   const { currPass, newPass } = req.body;
 
-  if (!currPass || !newPass || !currPass.trim() || !newPass.trim()) {
-    throw new ApiError(400, "Both current and new passwords are required.");
-  }
-
-  if (newPass.length < 6) {
-    throw new ApiError(400, "New password must be at least 6 characters long.");
-  }
-
   const user = req.user;
 
   const isPasswordValid = await user.isPasswordCorrect(currPass);
@@ -226,7 +444,9 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
   user.password = newPass;
   await user.save();
 
-  return res.status(200).json(200, "Password changed successfully");
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password changed successfully"));
 });
 
 const getCurrUser = asyncHandler(async (req, res) => {
@@ -239,20 +459,44 @@ const getCurrUser = asyncHandler(async (req, res) => {
 
 const updateAccountDetails = asyncHandler(async (req, res) => {
   const { fullName, email } = req.body;
+  const user = req.user;
+  const emailChanged = email && email !== user.email;
+
+  if (emailChanged) {
+    const taken = await User.exists({ email, _id: { $ne: user._id } });
+
+    if (taken) {
+      throw new ApiError(409, "Email is already in use");
+    }
 
-  if (!fullName || !email) {
-    throw new ApiError(400, "fullName and email are required.");
+    // swapped in by verifyEmail, a typo must not lock the account out
+    user.pendingEmail = email;
   }
 
-  const updatedUser = await User.findByIdAndUpdate(
-    req.user?._id,
-    { $set: { fullName, email } },
-    { new: true }
-  ).select("-password");
+  if (fullName) user.fullName = fullName;
+  await user.save();
+
+  if (emailChanged) {
+    try {
+      await sendEmailChangeEmail(user);
+    } catch (err) {
+      console.error("Failed to send verification email:", err);
+    }
+  }
+
+  const updatedUser = await User.findById(user._id).select("-password");
 
   return res
     .status(200)
-    .json(new ApiResponse(200, "Account details updated successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        { user: updatedUser },
+        emailChanged
+          ? "Account details updated, confirm the new email from the link sent to it"
+          : "Account details updated successfully"
+      )
+    );
 });
 
 const updateUserAvatar = asyncHandler(async (req, res) => {
@@ -262,15 +506,20 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar file is missing");
   }
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  const avatar = await uploadTrackedImage(req, avatarLocalPath, {
+    folder: "avatars",
+    preset: "avatar",
+  });
 
-  if (!avatar || !avatar.url) {
-    throw new ApiError(500, "Error file uploading on cloudinary");
+  if (!avatar) {
+    throw new ApiError(500, "Error uploading avatar to storage");
   }
 
+  const previousAvatar = req.user.avatar?.toObject();
+
   const updatedUser = await User.findByIdAndUpdate(
-    req.user?._id,
-    { $set: { avatar: avatar.url } },
+    req.user._id,
+    { $set: { avatar } },
     { new: true }
   ).select("-password");
 
@@ -278,6 +527,9 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found");
   }
 
+  // only now that the new avatar is saved can the old one go
+  await deleteImage(previousAvatar);
+
   return res
     .status(200)
     .json(
@@ -296,15 +548,20 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Cover image file is missing");
   }
 
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  const coverImage = await uploadTrackedImage(req, coverImageLocalPath, {
+    folder: "covers",
+    preset: "coverImage",
+  });
 
-  if (!coverImage || !coverImage.url) {
-    throw new ApiError(500, "Failed to upload Cover image to Cloudinary");
+  if (!coverImage) {
+    throw new ApiError(500, "Failed to upload Cover image to storage");
   }
 
+  const previousCoverImage = req.user.coverImage?.toObject();
+
   const updatedUser = await User.findByIdAndUpdate(
-    req.user?._id,
-    { coverImage: coverImage.url },
+    req.user._id,
+    { coverImage },
     { new: true }
   ).select("-password");
 
@@ -312,6 +569,8 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found");
   }
 
+  await deleteImage(previousCoverImage);
+
   return res
     .status(200)
     .json(
@@ -324,15 +583,11 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
 });
 
 const getUserChannelProfile = asyncHandler(async (req, res) => {
-  const username = req.params.username;
-
-  if (!username || !username.trim()) {
-    throw new ApiError(400, "Username is missing");
-  }
+  const { username } = req.params;
 
   const channel = await User.aggregate([
     {
-      $match: { username: username.toLowerCase() },
+      $match: { username },
     },
     {
       $lookup: {
@@ -392,14 +647,253 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, { channel: channel[0] }, "ok"));
 });
 
+const getWatchHistory = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const result = await User.aggregate([
+    {
+      $match: { _id: new mongoose.Types.ObjectId(userId) },
+    },
+    ...lookupInOrder({
+      from: "videos",
+      field: "watchHistory",
+      pipeline: [
+        {
+          $match: { $or: [{ isPublished: true }, { owner: userId }] },
+        },
+        {
+          $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+          },
+        },
+        { $addFields: { owner: { $first: "$owner" } } },
+      ],
+    }),
+    { $project: { watchHistory: 1 } },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { watchHistory: result[0]?.watchHistory ?? [] },
+        "Watch history fetched successfully"
+      )
+    );
+});
+
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { watchHistory: new mongoose.Types.ObjectId(videoId) } }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
+});
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $set: { watchHistory: [] } });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Watch history cleared successfully"));
+});
+
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({ user: req.user._id })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  const data = sessions.map((session) => ({
+    ...session,
+    isCurrent: session._id.equals(req.sessionId),
+  }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { sessions: data }, "Sessions fetched successfully")
+    );
+});
+
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const { deletedCount } = await Session.deleteOne({
+    _id: sessionId,
+    user: req.user._id,
+  });
+
+  if (!deletedCount) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const { deletedCount } = await Session.deleteMany({
+    user: req.user._id,
+    _id: { $ne: req.sessionId },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedCount: deletedCount },
+        "Other sessions revoked successfully"
+      )
+    );
+});
+
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const userId = await consumeAuthToken(token, "email_verification");
+
+  if (userId) {
+    await User.updateOne({ _id: userId }, { $set: { isEmailVerified: true } });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, {}, "Email verified successfully"));
+  }
+
+  // the link mailed to a new address by updateAccountDetails
+  const user = await User.findById(
+    await consumeAuthToken(token, "email_change")
+  );
+
+  if (!user?.pendingEmail) {
+    throw new ApiError(400, "Verification link is invalid or has expired");
+  }
+
+  const taken = await User.exists({
+    email: user.pendingEmail,
+    _id: { $ne: user._id },
+  });
+
+  if (taken) {
+    throw new ApiError(409, "Email is already in use");
+  }
+
+  user.email = user.pendingEmail;
+  user.pendingEmail = undefined;
+  user.isEmailVerified = true;
+
+  try {
+    await user.save();
+  } catch (err) {
+    // another account claimed the address since the check above
+    if (err?.code === 11000) {
+      throw new ApiError(409, "Email is already in use");
+    }
+    throw err;
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Email verified successfully"));
+});
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user && !user.isEmailVerified) {
+    await sendVerificationEmail(user);
+  }
+
+  // same answer either way, so this cannot be used to probe for accounts
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If the account exists and is unverified, a verification email has been sent"
+      )
+    );
+});
+
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user) {
+    await sendPasswordResetEmail(user);
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If the account exists, a password reset email has been sent"
+      )
+    );
+});
+
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  const userId = await consumeAuthToken(token, "password_reset");
+  const user = userId && (await User.findById(userId));
+
+  if (!user) {
+    throw new ApiError(400, "Reset link is invalid or has expired");
+  }
+
+  user.password = newPassword;
+  // the link proves access to the mailbox
+  user.isEmailVerified = true;
+  await user.save();
+
+  // whoever knew the old password must not stay logged in
+  await Session.deleteMany({ user: user._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
+});
+
 export {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   logOutUser,
   refreshAccessToken,
   changeCurrentPassword,
   getCurrUser,
+  updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
   getUserChannelProfile,
+  getWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
 };
@@ -0,0 +1,287 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { Notification } from "../models/notification.model.js";
+import { publishVideo } from "../utils/publishVideo.js";
+import { WATCH_HISTORY_LIMIT } from "../constants.js";
+import {
+  deleteFile,
+  uploadTrackedImage,
+  deleteImage,
+} from "../utils/storage/index.js";
+
+// Loads a video and makes sure the current user is its owner.
+const findOwnedVideo = async (videoId, userId) => {
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (!video.owner?.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this video");
+  }
+
+  return video;
+};
+
+const getAllVideos = asyncHandler(async (req, res) => {
+  const { page, limit, query, sortBy, sortType, userId } = req.query;
+
+  // non-owners only ever see published videos
+  const match = {
+    $or: [{ isPublished: true }, { owner: req.user._id }],
+  };
+
+  if (userId) {
+    match.owner = new mongoose.Types.ObjectId(userId);
+  }
+
+  if (query) {
+    const pattern = new RegExp(escapeRegex(query), "i");
+    match.$and = [{ $or: [{ title: pattern }, { description: pattern }] }];
+  }
+
+  const aggregate = Video.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+      },
+    },
+    { $addFields: { owner: { $first: "$owner" } } },
+    // _id keeps the order stable between pages when sort keys tie
+    { $sort: { [sortBy]: sortType === "asc" ? 1 : -1, _id: -1 } },
+  ]);
+
+  const videos = await Video.aggregatePaginate(aggregate, { page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+const publishAVideo = asyncHandler(async (req, res) => {
+  const { title, description } = req.body;
+
+  const videoLocalPath = req.files?.videoFile?.[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  if (!videoLocalPath) {
+    throw new ApiError(400, "Video file is required");
+  }
+
+  if (!thumbnailLocalPath) {
+    throw new ApiError(400, "Thumbnail is required");
+  }
+
+  const video = await publishVideo(req, {
+    videoLocalPath,
+    thumbnailLocalPath,
+    title,
+    description,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { video }, "Video published successfully"));
+});
+
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const [video] = await Video.aggregate([
+    {
+      $match: { _id: new mongoose.Types.ObjectId(videoId) },
+    },
+    {
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "video",
+        as: "likes",
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+        likesCount: {
+          $size: "$likes",
+        },
+        isLiked: {
+          $cond: {
+            if: { $in: [req.user?._id, "$likes.likedBy"] },
+            then: true,
+            else: false,
+          },
+        },
+      },
+    },
+    {
+      $project: { likes: 0 },
+    },
+  ]);
+
+  // unpublished videos are only visible to their owner
+  if (
+    !video ||
+    (!video.isPublished && !video.owner?._id.equals(req.user?._id))
+  ) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+  video.views += 1;
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  await VideoView.updateOne(
+    { video: video._id, day: today },
+    { $inc: { count: 1 }, $setOnInsert: { owner: video.owner?._id } },
+    { upsert: true }
+  );
+
+  // move the video to the front of the viewer's history without duplicates,
+  // dropping the oldest entries past WATCH_HISTORY_LIMIT
+  await User.updateOne({ _id: req.user._id }, [
+    {
+      $set: {
+        watchHistory: {
+          $slice: [
+            {
+              $concatArrays: [
+                [video._id],
+                {
+                  $filter: {
+                    input: { $ifNull: ["$watchHistory", []] },
+                    cond: { $ne: ["$$this", video._id] },
+                  },
+                },
+              ],
+            },
+            WATCH_HISTORY_LIMIT,
+          ],
+        },
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { video }, "Video fetched successfully"));
+});
+
+const updateVideo = asyncHandler(async (req, res) => {
+  const { title, description } = req.body;
+  const thumbnailLocalPath = req.file?.path;
+
+  if (!title && !description && !thumbnailLocalPath) {
+    throw new ApiError(
+      400,
+      "Provide a title, description or thumbnail to update"
+    );
+  }
+
+  const video = await findOwnedVideo(req.params.videoId, req.user._id);
+  const oldThumbnail = video.thumbnail?.toObject();
+
+  if (thumbnailLocalPath) {
+    const thumbnail = await uploadTrackedImage(req, thumbnailLocalPath, {
+      folder: "thumbnails",
+      preset: "thumbnail",
+    });
+
+    if (!thumbnail) {
+      throw new ApiError(500, "Failed to upload thumbnail to storage");
+    }
+
+    video.thumbnail = thumbnail;
+  }
+
+  if (title) video.title = title;
+  if (description) video.description = description;
+
+  await video.save();
+
+  if (thumbnailLocalPath) {
+    await deleteImage(oldThumbnail);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { video }, "Video updated successfully"));
+});
+
+const deleteVideo = asyncHandler(async (req, res) => {
+  const video = await findOwnedVideo(req.params.videoId, req.user._id);
+
+  await video.deleteOne();
+  const commentIds = await Comment.find({ video: video._id }).distinct("_id");
+  await Comment.deleteMany({ video: video._id });
+  await Like.deleteMany({
+    $or: [{ video: video._id }, { comment: { $in: commentIds } }],
+  });
+  await VideoView.deleteMany({ video: video._id });
+  await Notification.deleteMany({
+    $or: [{ video: video._id }, { comment: { $in: commentIds } }],
+  });
+  await Playlist.updateMany(
+    { videos: video._id },
+    { $pull: { videos: video._id } }
+  );
+
+  await deleteFile(video.videoFile);
+  await deleteImage(video.thumbnail);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+const togglePublishStatus = asyncHandler(async (req, res) => {
+  const video = await findOwnedVideo(req.params.videoId, req.user._id);
+
+  video.isPublished = !video.isPublished;
+  await video.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isPublished: video.isPublished },
+        "Video publish status toggled successfully"
+      )
+    );
+});
+
+export {
+  getAllVideos,
+  publishAVideo,
+  getVideoById,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+};
@@ -0,0 +1,277 @@
+import crypto from "crypto";
+import fs from "fs";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { publishVideo } from "../utils/publishVideo.js";
+import { formatBytes, validateUpload } from "../utils/uploadPolicy.js";
+import {
+  getAssembledFilePath,
+  writeChunk,
+  assembleChunks,
+  removeChunks,
+} from "../utils/chunkStore.js";
+import {
+  UPLOAD_POLICIES,
+  UPLOAD_SESSION_TTL_MS,
+  UPLOAD_MAX_OPEN_SESSIONS,
+} from "../constants.js";
+
+// Resumable video uploads: create an upload, PUT its chunks in any order
+// (retrying any that failed), check which ones arrived, then complete it with
+// the title, description and thumbnail to publish the video.
+
+const formatUpload = (upload) => {
+  const received = new Set(upload.receivedChunks);
+
+  return {
+    uploadId: upload._id,
+    fileName: upload.fileName,
+    fileSize: upload.fileSize,
+    chunkSize: upload.chunkSize,
+    totalChunks: upload.totalChunks,
+    receivedChunks: [...received].sort((a, b) => a - b),
+    missingChunks: Array.from(
+      { length: upload.totalChunks },
+      (_, index) => index
+    ).filter((index) => !received.has(index)),
+    status: upload.status,
+    expiresAt: upload.expiresAt,
+  };
+};
+
+const findOwnedUpload = async (uploadId, userId) => {
+  // expired uploads linger until mongo's TTL monitor removes them
+  const upload = await UploadSession.findOne({
+    _id: uploadId,
+    owner: userId,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!upload) {
+    throw new ApiError(404, "Upload not found");
+  }
+
+  return upload;
+};
+
+const createVideoUpload = asyncHandler(async (req, res) => {
+  const { fileName, fileSize, chunkSize } = req.body;
+
+  const { maxBytes } = UPLOAD_POLICIES.videoFile;
+
+  if (fileSize > maxBytes) {
+    throw new ApiError(
+      413,
+      `videoFile must be at most ${formatBytes(maxBytes)}`
+    );
+  }
+
+  const openUploads = await UploadSession.countDocuments({
+    owner: req.user._id,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (openUploads >= UPLOAD_MAX_OPEN_SESSIONS) {
+    throw new ApiError(
+      429,
+      `You can have at most ${UPLOAD_MAX_OPEN_SESSIONS} unfinished uploads, complete or cancel one first`
+    );
+  }
+
+  const upload = await UploadSession.create({
+    owner: req.user._id,
+    fileName,
+    fileSize,
+    chunkSize,
+    totalChunks: Math.ceil(fileSize / chunkSize),
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS),
+  });
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { upload: formatUpload(upload) },
+        "Upload created successfully"
+      )
+    );
+});
+
+const getVideoUpload = asyncHandler(async (req, res) => {
+  const upload = await findOwnedUpload(req.params.uploadId, req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { upload: formatUpload(upload) },
+        "Upload fetched successfully"
+      )
+    );
+});
+
+// The body is the raw chunk, the X-Chunk-SHA256 header its hex sha256.
+const uploadVideoChunk = asyncHandler(async (req, res) => {
+  const upload = await findOwnedUpload(req.params.uploadId, req.user._id);
+  const { index } = req.params;
+
+  if (index >= upload.totalChunks) {
+    throw new ApiError(
+      400,
+      `Chunk index must be between 0 and ${upload.totalChunks - 1}`
+    );
+  }
+
+  if (upload.status !== "uploading") {
+    throw new ApiError(409, "Upload is already being completed");
+  }
+
+  if (!Buffer.isBuffer(req.body)) {
+    throw new ApiError(400, "Send the chunk as application/octet-stream");
+  }
+
+  const expectedSize =
+    index === upload.totalChunks - 1
+      ? upload.fileSize - upload.chunkSize * index
+      : upload.chunkSize;
+
+  if (req.body.length !== expectedSize) {
+    throw new ApiError(400, `Chunk ${index} must be ${expectedSize} bytes`);
+  }
+
+  const checksum = req.get("x-chunk-sha256")?.toLowerCase();
+
+  if (!checksum) {
+    throw new ApiError(400, "X-Chunk-SHA256 header is required");
+  }
+
+  if (crypto.createHash("sha256").update(req.body).digest("hex") !== checksum) {
+    throw new ApiError(400, "Chunk checksum mismatch, please resend it");
+  }
+
+  await writeChunk(upload._id, index, req.body);
+
+  // every chunk keeps the upload alive for another UPLOAD_SESSION_TTL_MS
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: upload._id, status: "uploading" },
+    {
+      $addToSet: { receivedChunks: index },
+      $set: { expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS) },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ApiError(409, "Upload is already being completed");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { upload: formatUpload(updated) },
+        `Chunk ${index} received`
+      )
+    );
+});
+
+const completeVideoUpload = asyncHandler(async (req, res) => {
+  const { title, description } = req.body;
+  const thumbnailLocalPath = req.file?.path;
+
+  if (!thumbnailLocalPath) {
+    throw new ApiError(400, "Thumbnail is required");
+  }
+
+  const upload = await findOwnedUpload(req.params.uploadId, req.user._id);
+
+  if (upload.receivedChunks.length < upload.totalChunks) {
+    throw new ApiError(400, "Upload is missing chunks", {
+      missingChunks: formatUpload(upload).missingChunks,
+    });
+  }
+
+  // only one request may assemble the file
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: upload._id, status: "uploading" },
+    { $set: { status: "completing" } }
+  );
+
+  if (!claimed) {
+    throw new ApiError(409, "Upload is already being completed");
+  }
+
+  const videoLocalPath = getAssembledFilePath(upload._id, upload.fileName);
+
+  try {
+    await assembleChunks(upload._id, upload.totalChunks, videoLocalPath);
+
+    await validateUpload({
+      fieldname: "videoFile",
+      path: videoLocalPath,
+      size: (await fs.promises.stat(videoLocalPath)).size,
+    });
+
+    const video = await publishVideo(req, {
+      videoLocalPath,
+      thumbnailLocalPath,
+      title,
+      description,
+    });
+
+    // the video exists now, so a failed cleanup must not fail the request
+    // and roll back its files. A leftover session stays "completing" until
+    // it expires, then the chunk sweep removes its chunks.
+    try {
+      await UploadSession.deleteOne({ _id: upload._id });
+      await removeChunks(upload._id);
+    } catch (err) {
+      console.error("Upload cleanup error:", err);
+    }
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, { video }, "Video published successfully"));
+  } catch (err) {
+    // the chunks are still there, so completing can be retried
+    await UploadSession.updateOne(
+      { _id: upload._id },
+      { $set: { status: "uploading" } }
+    );
+    throw err;
+  } finally {
+    await fs.promises.rm(videoLocalPath, { force: true });
+  }
+});
+
+const cancelVideoUpload = asyncHandler(async (req, res) => {
+  const upload = await findOwnedUpload(req.params.uploadId, req.user._id);
+
+  const { deletedCount } = await UploadSession.deleteOne({
+    _id: upload._id,
+    status: "uploading",
+  });
+
+  if (!deletedCount) {
+    throw new ApiError(409, "Upload is already being completed");
+  }
+
+  await removeChunks(upload._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Upload cancelled successfully"));
+});
+
+export {
+  createVideoUpload,
+  getVideoUpload,
+  uploadVideoChunk,
+  completeVideoUpload,
+  cancelVideoUpload,
+};
@@ -1,6 +1,7 @@
 import dotenv from "dotenv";
 import { connectDB } from "./db/connect.js";
 import { app } from "./app.js";
+import { scheduleChunkSweep } from "./utils/chunkStore.js";
 
 dotenv.config({
   path: "./env",
@@ -10,6 +11,7 @@ const PORT = process.env.PORT || 8000;
 
 connectDB()
   .then(() => {
+    scheduleChunkSweep();
     app.listen(PORT, () => {
       console.log(`Server is running at http://localhost:${PORT}`);
     });
@@ -2,6 +2,7 @@ import jwt from "jsonwebtoken";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 
 const verifyJWT = asyncHandler(async (req, res, next) => {
   const token =
@@ -19,16 +20,62 @@ const verifyJWT = asyncHandler(async (req, res, next) => {
     throw new ApiError(403, "Access token is invalid or expired");
   }
 
-  const user = await User.findById(decodedToken._id).select(
-    "-password -refreshToken"
-  );
+  // e.g. a 2FA challenge token, which is signed with the same secret
+  if (decodedToken.purpose) {
+    throw new ApiError(401, "Unauthorized request - not an access token");
+  }
+
+  // tokens die with their session, e.g. after logout or a revoke
+  const session = await Session.exists({
+    _id: decodedToken.sid,
+    user: decodedToken._id,
+  });
+
+  if (!session) {
+    throw new ApiError(401, "Session expired or revoked");
+  }
+
+  const user = await User.findById(decodedToken._id).select("-password");
 
   if (!user) {
     throw new ApiError(404, "User not found with provided token");
   }
 
+  if (user.isBanned) {
+    throw new ApiError(403, "This account has been banned");
+  }
+
   req.user = user;
+  req.sessionId = session._id;
+  req.accessTokenExpiresAt = decodedToken.exp * 1000;
   next();
 });
 
-export { verifyJWT };
+// verifyJWT for routes that also serve anonymous users: without a token the
+// request goes through without req.user.
+const optionalJWT = (req, res, next) => {
+  if (!req.cookies?.accessToken && !req.headers?.authorization) {
+    return next();
+  }
+
+  return verifyJWT(req, res, next);
+};
+
+// Use after verifyJWT, e.g. authorize("moderator", "admin").
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, "Unauthorized request"));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ApiError(403, "You do not have permission to perform this action")
+      );
+    }
+
+    next();
+  };
+
+export { verifyJWT, optionalJWT, authorize };
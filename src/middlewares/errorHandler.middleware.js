@@ -11,6 +11,16 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // errors from express' body parsers, e.g. malformed JSON or a body over
+  // the size limit, are the client's fault
+  if (err.expose && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      errors: [],
+    });
+  }
+
   console.log(err);
 
   // Handle unknown/unexpected errors
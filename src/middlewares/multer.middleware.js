@@ -1,12 +1,99 @@
+import fs from "fs";
 import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  TEMP_DIR,
+  getTempFileName,
+  formatBytes,
+  validateUpload,
+} from "../utils/uploadPolicy.js";
+import { UPLOAD_POLICIES } from "../constants.js";
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, "./public/temp");
+    cb(null, TEMP_DIR);
   },
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    cb(null, getTempFileName(file.originalname));
   },
 });
 
-export const upload = multer({ storage });
+const getUploadedFiles = (req) => [
+  ...(req.file ? [req.file] : []),
+  ...Object.values(req.files ?? {}).flat(),
+];
+
+const removeTempFiles = (files) =>
+  Promise.all(files.map((file) => fs.promises.rm(file.path, { force: true })));
+
+const toApiError = (err, fields) => {
+  if (!(err instanceof multer.MulterError)) return err;
+
+  switch (err.code) {
+    case "LIMIT_FILE_SIZE": {
+      // multer only knows the largest limit of all fields
+      const maxBytes = UPLOAD_POLICIES[err.field]?.maxBytes;
+      return new ApiError(
+        413,
+        `${err.field} must be at most ${formatBytes(maxBytes)}`
+      );
+    }
+    case "LIMIT_UNEXPECTED_FILE":
+      return new ApiError(
+        400,
+        fields.some(({ name }) => name === err.field)
+          ? `Too many files for ${err.field}`
+          : `Unexpected file field ${err.field}`
+      );
+    default:
+      return new ApiError(400, err.message);
+  }
+};
+
+// Wraps a multer middleware so every accepted field is checked against its
+// UPLOAD_POLICIES entry. Temp files are removed once the response is done,
+// whichever way the request ended; uploadFile usually got to them first.
+const withPolicies = (fields, createMiddleware) => {
+  for (const { name } of fields) {
+    if (!UPLOAD_POLICIES[name]) {
+      throw new Error(`No upload policy for field "${name}"`);
+    }
+  }
+
+  const middleware = createMiddleware(
+    multer({
+      storage,
+      limits: {
+        fileSize: Math.max(
+          ...fields.map(({ name }) => UPLOAD_POLICIES[name].maxBytes)
+        ),
+        files: fields.reduce((sum, { maxCount = 1 }) => sum + maxCount, 0),
+      },
+    })
+  );
+
+  return (req, res, next) => {
+    res.on("close", () => removeTempFiles(getUploadedFiles(req)));
+
+    middleware(req, res, async (err) => {
+      try {
+        if (err) throw toApiError(err, fields);
+
+        for (const file of getUploadedFiles(req)) {
+          await validateUpload(file);
+        }
+        next();
+      } catch (error) {
+        await removeTempFiles(getUploadedFiles(req));
+        next(error);
+      }
+    });
+  };
+};
+
+export const upload = {
+  single: (name) =>
+    withPolicies([{ name, maxCount: 1 }], (instance) => instance.single(name)),
+  fields: (fields) =>
+    withPolicies(fields, (instance) => instance.fields(fields)),
+};
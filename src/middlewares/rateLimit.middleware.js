@@ -0,0 +1,33 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+
+// Limits requests per policy (see RATE_LIMITS in constants.js). Requests are
+// counted per user when verifyJWT ran before this middleware, per IP otherwise
+// (which needs TRUST_PROXY behind a reverse proxy, see app.js).
+const rateLimit = (policy) =>
+  asyncHandler(async (req, res, next) => {
+    const client = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+
+    const { allowed, remaining, resetMs } = await getRateLimitStore().consume(
+      `${policy.name}:${client}`,
+      policy
+    );
+
+    const resetSeconds = Math.max(1, Math.ceil(resetMs / 1000));
+
+    res.set({
+      "RateLimit-Limit": String(policy.limit ?? policy.capacity),
+      "RateLimit-Remaining": String(remaining),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (!allowed) {
+      res.set("Retry-After", String(resetSeconds));
+      throw new ApiError(429, "Too many requests, please try again later");
+    }
+
+    next();
+  });
+
+export { rateLimit };
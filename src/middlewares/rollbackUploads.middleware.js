@@ -0,0 +1,13 @@
+import { deleteFile } from "../utils/storage/index.js";
+
+// Error middleware: deletes whatever the failed request uploaded (see
+// trackUploads) and passes the error on to errorHandler.
+const rollbackUploads = async (err, req, res, next) => {
+  if (req.uploadedAssets?.length) {
+    await Promise.all(req.uploadedAssets.map((asset) => deleteFile(asset)));
+  }
+
+  next(err);
+};
+
+export { rollbackUploads };
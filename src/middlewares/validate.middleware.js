@@ -0,0 +1,45 @@
+import { ApiError } from "../utils/ApiError.js";
+
+const REQUEST_PARTS = ["params", "query", "body"];
+
+// Parses the request with Zod schemas, e.g.
+// validate({ params: videoIdParamsSchema, body: updateVideoSchema }), and
+// replaces req.params/query/body with the parsed (trimmed, coerced,
+// defaulted) data. Every failure is reported in one 400 ApiError whose
+// `errors` maps fields to their messages; errors not tied to a field are
+// listed under `formErrors`. Use it after multer on multipart routes, since
+// multer is what fills req.body there.
+const validate = (schemas) => (req, res, next) => {
+  const errors = {};
+
+  for (const part of REQUEST_PARTS) {
+    if (!schemas[part]) continue;
+
+    const parsed = schemas[part].safeParse(req[part] ?? {});
+
+    if (!parsed.success) {
+      const { fieldErrors, formErrors } = parsed.error.flatten();
+      Object.assign(errors, fieldErrors);
+      if (formErrors.length) {
+        errors.formErrors = [...(errors.formErrors ?? []), ...formErrors];
+      }
+      continue;
+    }
+
+    // req.query is a getter in Express 5, so it cannot simply be assigned
+    Object.defineProperty(req, part, {
+      value: parsed.data,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
+  if (Object.keys(errors).length) {
+    return next(new ApiError(400, "Validation Failed", errors));
+  }
+
+  next();
+};
+
+export { validate };
@@ -0,0 +1,38 @@
+import { Schema } from "mongoose";
+
+// Provider neutral reference to an uploaded file, see utils/storage.
+export const assetSchema = new Schema(
+  {
+    provider: {
+      type: String, // "cloudinary" or "local"
+      required: true,
+    },
+    publicId: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    resourceType: {
+      type: String, // image, video or raw
+    },
+  },
+  { _id: false }
+);
+
+// A processed image, stored once per size (see IMAGE_PRESETS in constants).
+const imageVariantSchema = assetSchema.clone().add({
+  width: Number,
+  height: Number,
+});
+
+export const imageSchema = new Schema(
+  {
+    small: imageVariantSchema,
+    medium: imageVariantSchema,
+    large: imageVariantSchema,
+  },
+  { _id: false }
+);
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+export const AUTH_TOKEN_TYPES = [
+  "email_verification",
+  "email_change",
+  "password_reset",
+];
+
+// Single use tokens mailed to the user. Only the hash is stored.
+const authTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: AUTH_TOKEN_TYPES,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthToken = mongoose.model("AuthToken", authTokenSchema);
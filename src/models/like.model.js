@@ -0,0 +1,52 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const LIKE_TARGETS = ["video", "comment", "tweet"];
+
+const likeSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    comment: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    tweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Tweet",
+    },
+    likedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// one like per user and target
+for (const target of LIKE_TARGETS) {
+  likeSchema.index(
+    { [target]: 1, likedBy: 1 },
+    { unique: true, partialFilterExpression: { [target]: { $exists: true } } }
+  );
+}
+
+likeSchema.index({ likedBy: 1, createdAt: -1 });
+
+likeSchema.pre("validate", function (next) {
+  const targets = LIKE_TARGETS.filter((target) => this[target]);
+
+  if (targets.length !== 1) {
+    return next(
+      new Error("A like must point at exactly one video, comment or tweet")
+    );
+  }
+  next();
+});
+
+likeSchema.plugin(mongooseAggregatePaginate);
+
+export const Like = mongoose.model("Like", likeSchema);
@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+// Failed login bookkeeping for one account or IP, shared by all instances.
+const loginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String, // "account:<user id or identifier>" or "ip:<address>"
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lockouts: {
+      type: Number, // how often the key was locked, drives the backoff
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+
+// `user` gets no notifications caused by `channel`, neither for its uploads
+// nor for its comments and likes.
+const notificationMuteSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    channel: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationMuteSchema.index({ user: 1, channel: 1 }, { unique: true });
+notificationMuteSchema.index({ channel: 1 });
+
+export const NotificationMute = mongoose.model(
+  "NotificationMute",
+  notificationMuteSchema
+);
@@ -0,0 +1,40 @@
+import mongoose, { Schema } from "mongoose";
+
+export const PLAYLIST_VISIBILITY = ["public", "unlisted", "private"];
+
+const playlistSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    videos: [
+      {
+        type: Schema.Types.ObjectId, // kept in playback order
+        ref: "Video",
+      },
+    ],
+    visibility: {
+      type: String,
+      enum: PLAYLIST_VISIBILITY,
+      default: "public",
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+playlistSchema.index({ owner: 1, createdAt: -1 });
+playlistSchema.index({ name: "text" }, { name: "playlist_text" });
+
+export const Playlist = mongoose.model("Playlist", playlistSchema);
@@ -0,0 +1,30 @@
+import mongoose, { Schema } from "mongoose";
+
+// Counter or token bucket behind one rate limit key, shared by all instances.
+const rateLimitSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number, // fixed window
+  },
+  tokens: {
+    type: Number, // token bucket
+  },
+  refilledAt: {
+    type: Date, // token bucket
+  },
+  allowed: {
+    type: Boolean, // outcome of the last token bucket hit
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
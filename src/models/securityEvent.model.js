@@ -0,0 +1,33 @@
+import mongoose, { Schema } from "mongoose";
+
+// Audit trail for security relevant events on an account.
+const securityEventSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    details: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+export const SecurityEvent = mongoose.model(
+  "SecurityEvent",
+  securityEventSchema
+);
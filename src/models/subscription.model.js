@@ -1,19 +1,34 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const subscriptionSchema = new Schema(
   {
     subscriber: {
-      type: Schema.Types.ObjectId,
+      type: Schema.Types.ObjectId, // one who is subscribing
       ref: "User",
+      required: true,
     },
     channel: {
-      type: Schema.Types.ObjectId,
+      type: Schema.Types.ObjectId, // one to whom subscriber is subscribing
       ref: "User",
+      required: true,
     },
   },
   { timestamps: true }
 );
 
-const User = mongoose.model("Subscription", subscriptionSchema);
+// a user can subscribe to a channel only once. Starting with `subscriber`,
+// this also serves (and covers) listing the channels a user subscribes to.
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+subscriptionSchema.index({ channel: 1, createdAt: -1 });
 
-export { User };
+subscriptionSchema.pre("validate", function (next) {
+  if (this.subscriber && this.subscriber.equals(this.channel)) {
+    return next(new Error("A user cannot subscribe to their own channel"));
+  }
+  next();
+});
+
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
+export const Subscription = mongoose.model("Subscription", subscriptionSchema);
@@ -0,0 +1,30 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { imageSchema } from "./asset.schema.js";
+
+// A community post on the owner's channel.
+const tweetSchema = new Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    image: {
+      type: imageSchema,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// channel pages and the feed list posts newest first
+tweetSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+
+tweetSchema.plugin(mongooseAggregatePaginate);
+
+export const Tweet = mongoose.model("Tweet", tweetSchema);
@@ -0,0 +1,52 @@
+import mongoose, { Schema } from "mongoose";
+
+// A resumable video upload. The chunks themselves sit on disk (see
+// utils/chunkStore.js) until the upload is completed, cancelled or expires.
+const uploadSessionSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number, // bytes
+      required: true,
+    },
+    chunkSize: {
+      type: Number, // bytes, only the last chunk may be smaller
+      required: true,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+    },
+    receivedChunks: {
+      type: [Number],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "completing"],
+      default: "uploading",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// abandoned uploads are dropped, their chunks are swept by chunkStore
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema
+);
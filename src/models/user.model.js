@@ -1,6 +1,10 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { imageSchema } from "./asset.schema.js";
+
+export const USER_ROLES = ["user", "moderator", "admin"];
 
 const userSchema = new Schema(
   {
@@ -29,11 +33,56 @@ const userSchema = new Schema(
       type: String,
       required: true,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // a new address waiting for its verification link, `email` stays in
+    // use until then
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "user",
+    },
+    isBanned: {
+      type: Boolean,
+      default: false,
+    },
+    banReason: {
+      type: String,
+    },
     avatar: {
-      type: String, // cloudinary url
+      type: imageSchema,
     },
     coverImage: {
-      type: String, // cloudinary url
+      type: imageSchema,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String, // base32 TOTP secret
+        select: false,
+      },
+      pendingSecret: {
+        type: String, // set by enroll, promoted to secret by confirm
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number, // last accepted TOTP time step, blocks code replays
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String], // sha256 hashes, each one usable once
+        select: false,
+      },
     },
     watchHistory: [
       {
@@ -41,9 +90,6 @@ const userSchema = new Schema(
         ref: "Video",
       },
     ],
-    refreshToken: {
-      type: String,
-    },
   },
   { timestamps: true }
 );
@@ -58,10 +104,11 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
       email: this.email,
       username: this.username,
       fullName: this.fullName,
@@ -71,10 +118,28 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
-  return jwt.sign({ _id: this._id }, process.env.REFRESH_TOKEN_SECRET, {
-    expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
-  });
+userSchema.methods.generateRefreshToken = function (sessionId, generation) {
+  return jwt.sign(
+    { _id: this._id, sid: sessionId, gen: generation },
+    process.env.REFRESH_TOKEN_SECRET,
+    { expiresIn: process.env.REFRESH_TOKEN_EXPIRY }
+  );
+};
+
+userSchema.methods.generateTwoFactorChallengeToken = function () {
+  return jwt.sign(
+    { _id: this._id, purpose: "2fa_challenge" },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m" }
+  );
 };
 
+// channel search, see controllers/search.controller.js
+userSchema.index(
+  { username: "text", fullName: "text" },
+  { weights: { username: 5, fullName: 3 }, name: "user_text" }
+);
+
+userSchema.plugin(mongooseAggregatePaginate);
+
 export const User = mongoose.model("User", userSchema);
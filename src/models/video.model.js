@@ -1,26 +1,33 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { assetSchema, imageSchema } from "./asset.schema.js";
 
 const videoSchema = new Schema(
   {
     videoFile: {
-      type: String, // cloudinary url
+      type: assetSchema,
       required: true,
     },
     thumbnail: {
-      type: String, // cloudinary url
+      type: imageSchema,
       required: true,
     },
     title: {
       type: String,
       required: true,
     },
+    // kept in sync with title, lets search suggestions match prefixes
+    // case-insensitively through an index
+    titleLower: {
+      type: String,
+      select: false,
+    },
     description: {
       type: String,
       required: true,
     },
     duration: {
-      type: Number, // cloudinary
+      type: Number, // seconds, reported by the storage provider
       required: true,
     },
     views: {
@@ -39,6 +46,22 @@ const videoSchema = new Schema(
   { timestamps: true }
 );
 
+// a channel's newest videos, also merged per channel by the subscription feed
+videoSchema.index({ owner: 1, isPublished: 1, createdAt: -1, _id: -1 });
+
+// a title match counts more than one in the description
+videoSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 10, description: 2 }, name: "video_text" }
+);
+
+videoSchema.index({ titleLower: 1 });
+
+videoSchema.pre("validate", function (next) {
+  if (this.isModified("title")) this.titleLower = this.title?.toLowerCase();
+  next();
+});
+
 videoSchema.plugin(mongooseAggregatePaginate);
 
 export const Video = mongoose.model("Video", videoSchema);
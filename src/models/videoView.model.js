@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+// Views bucketed per video and UTC day, used for the channel dashboard series.
+const videoViewSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    owner: {
+      type: Schema.Types.ObjectId, // owner of the video
+      ref: "User",
+      required: true,
+    },
+    day: {
+      type: Date, // midnight UTC
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+videoViewSchema.index({ video: 1, day: 1 }, { unique: true });
+videoViewSchema.index({ owner: 1, day: 1 });
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema);
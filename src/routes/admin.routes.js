@@ -0,0 +1,41 @@
+import { Router } from "express";
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  listUsers,
+  banUser,
+  unbanUser,
+  forceLogoutUser,
+  unpublishVideo,
+} from "../controllers/admin.controller.js";
+import {
+  listUsersSchema,
+  banUserSchema,
+} from "../validations/admin.validations.js";
+import { userIdParamsSchema } from "../validations/user.validations.js";
+import { videoIdParamsSchema } from "../validations/video.validations.js";
+
+const router = Router();
+
+router.use(verifyJWT, authorize("moderator", "admin"));
+
+router.route("/users").get(validate({ query: listUsersSchema }), listUsers);
+
+router
+  .route("/users/:userId/ban")
+  .post(validate({ params: userIdParamsSchema, body: banUserSchema }), banUser)
+  .delete(validate({ params: userIdParamsSchema }), unbanUser);
+
+router
+  .route("/users/:userId/logout")
+  .post(
+    authorize("admin"),
+    validate({ params: userIdParamsSchema }),
+    forceLogoutUser
+  );
+
+router
+  .route("/videos/:videoId/unpublish")
+  .patch(validate({ params: videoIdParamsSchema }), unpublishVideo);
+
+export default router;
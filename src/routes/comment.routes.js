@@ -0,0 +1,45 @@
+import { Router } from "express";
+import { verifyJWT, optionalJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getVideoComments,
+  addComment,
+  updateComment,
+  deleteComment,
+} from "../controllers/comment.controller.js";
+import {
+  commentSchema,
+  commentIdParamsSchema,
+} from "../validations/comment.validations.js";
+import { videoIdParamsSchema } from "../validations/video.validations.js";
+import { paginationSchema } from "../validations/common.validations.js";
+
+const router = Router();
+
+router
+  .route("/:videoId")
+  .get(
+    optionalJWT,
+    validate({ params: videoIdParamsSchema, query: paginationSchema }),
+    getVideoComments
+  )
+  .post(
+    verifyJWT,
+    validate({ params: videoIdParamsSchema, body: commentSchema }),
+    addComment
+  );
+
+router
+  .route("/c/:commentId")
+  .patch(
+    verifyJWT,
+    validate({ params: commentIdParamsSchema, body: commentSchema }),
+    updateComment
+  )
+  .delete(
+    verifyJWT,
+    validate({ params: commentIdParamsSchema }),
+    deleteComment
+  );
+
+export default router;
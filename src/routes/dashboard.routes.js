@@ -0,0 +1,22 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getChannelStats,
+  getChannelVideos,
+} from "../controllers/dashboard.controller.js";
+import { channelStatsSchema } from "../validations/dashboard.validations.js";
+import { paginationSchema } from "../validations/common.validations.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router
+  .route("/stats")
+  .get(validate({ query: channelStatsSchema }), getChannelStats);
+router
+  .route("/videos")
+  .get(validate({ query: paginationSchema }), getChannelVideos);
+
+export default router;
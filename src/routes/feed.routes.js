@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { getSubscriptionFeed } from "../controllers/feed.controller.js";
+import { cursorPaginationSchema } from "../validations/common.validations.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router
+  .route("/subscriptions")
+  .get(validate({ query: cursorPaginationSchema }), getSubscriptionFeed);
+
+export default router;
@@ -0,0 +1,32 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  toggleVideoLike,
+  toggleCommentLike,
+  toggleTweetLike,
+  getLikedVideos,
+} from "../controllers/like.controller.js";
+import { videoIdParamsSchema } from "../validations/video.validations.js";
+import { commentIdParamsSchema } from "../validations/comment.validations.js";
+import { tweetIdParamsSchema } from "../validations/tweet.validations.js";
+import { paginationSchema } from "../validations/common.validations.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router
+  .route("/toggle/v/:videoId")
+  .post(validate({ params: videoIdParamsSchema }), toggleVideoLike);
+router
+  .route("/toggle/c/:commentId")
+  .post(validate({ params: commentIdParamsSchema }), toggleCommentLike);
+router
+  .route("/toggle/t/:tweetId")
+  .post(validate({ params: tweetIdParamsSchema }), toggleTweetLike);
+router
+  .route("/videos")
+  .get(validate({ query: paginationSchema }), getLikedVideos);
+
+export default router;
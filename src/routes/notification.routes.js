@@ -0,0 +1,50 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getNotifications,
+  streamNotifications,
+  markNotificationRead,
+  markNotificationUnread,
+  markAllNotificationsRead,
+  getMutedChannels,
+  muteChannel,
+  unmuteChannel,
+} from "../controllers/notification.controller.js";
+import {
+  listNotificationsSchema,
+  notificationIdParamsSchema,
+} from "../validations/notification.validations.js";
+import { channelIdParamsSchema } from "../validations/subscription.validations.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .get(validate({ query: listNotificationsSchema }), getNotifications);
+router.route("/stream").get(streamNotifications);
+router.route("/read-all").patch(markAllNotificationsRead);
+
+router.route("/mutes").get(getMutedChannels);
+router
+  .route("/mutes/:channelId")
+  .all(validate({ params: channelIdParamsSchema }))
+  .post(muteChannel)
+  .delete(unmuteChannel);
+
+router
+  .route("/:notificationId/read")
+  .patch(
+    validate({ params: notificationIdParamsSchema }),
+    markNotificationRead
+  );
+router
+  .route("/:notificationId/unread")
+  .patch(
+    validate({ params: notificationIdParamsSchema }),
+    markNotificationUnread
+  );
+
+export default router;
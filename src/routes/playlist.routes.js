@@ -0,0 +1,56 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  moveVideoInPlaylist,
+} from "../controllers/playlist.controller.js";
+import {
+  createPlaylistSchema,
+  updatePlaylistSchema,
+  movePlaylistVideoSchema,
+  playlistIdParamsSchema,
+  playlistVideoParamsSchema,
+} from "../validations/playlist.validations.js";
+import { userIdParamsSchema } from "../validations/user.validations.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .post(validate({ body: createPlaylistSchema }), createPlaylist);
+
+router
+  .route("/user/:userId")
+  .get(validate({ params: userIdParamsSchema }), getUserPlaylists);
+
+router
+  .route("/:playlistId")
+  .all(validate({ params: playlistIdParamsSchema }))
+  .get(getPlaylistById)
+  .patch(validate({ body: updatePlaylistSchema }), updatePlaylist)
+  .delete(deletePlaylist);
+
+router
+  .route("/:playlistId/videos/:videoId")
+  .all(validate({ params: playlistVideoParamsSchema }))
+  .post(addVideoToPlaylist)
+  .delete(removeVideoFromPlaylist);
+
+router.route("/:playlistId/videos/:videoId/position").patch(
+  validate({
+    params: playlistVideoParamsSchema,
+    body: movePlaylistVideoSchema,
+  }),
+  moveVideoInPlaylist
+);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from "express";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  search,
+  getSearchSuggestions,
+} from "../controllers/search.controller.js";
+import {
+  searchSchema,
+  suggestionsSchema,
+} from "../validations/search.validations.js";
+
+const router = Router();
+
+router.route("/").get(validate({ query: searchSchema }), search);
+router
+  .route("/suggestions")
+  .get(validate({ query: suggestionsSchema }), getSearchSuggestions);
+
+export default router;
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  toggleSubscription,
+  getUserChannelSubscribers,
+  getSubscribedChannels,
+} from "../controllers/subscription.controller.js";
+import {
+  channelIdParamsSchema,
+  subscriberIdParamsSchema,
+} from "../validations/subscription.validations.js";
+import { paginationSchema } from "../validations/common.validations.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router
+  .route("/c/:channelId")
+  .get(
+    validate({ params: channelIdParamsSchema, query: paginationSchema }),
+    getUserChannelSubscribers
+  )
+  .post(validate({ params: channelIdParamsSchema }), toggleSubscription);
+
+router
+  .route("/u/:subscriberId")
+  .get(
+    validate({ params: subscriberIdParamsSchema, query: paginationSchema }),
+    getSubscribedChannels
+  );
+
+export default router;
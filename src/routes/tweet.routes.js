@@ -0,0 +1,43 @@
+import { Router } from "express";
+import { upload } from "../middlewares/multer.middleware.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createTweet,
+  updateTweet,
+  deleteTweet,
+  getPostsFeed,
+} from "../controllers/tweet.controller.js";
+import {
+  createTweetSchema,
+  updateTweetSchema,
+  tweetIdParamsSchema,
+} from "../validations/tweet.validations.js";
+import { cursorPaginationSchema } from "../validations/common.validations.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .post(
+    upload.single("image"),
+    validate({ body: createTweetSchema }),
+    createTweet
+  );
+
+router
+  .route("/feed")
+  .get(validate({ query: cursorPaginationSchema }), getPostsFeed);
+
+router
+  .route("/:tweetId")
+  .patch(
+    upload.single("image"),
+    validate({ params: tweetIdParamsSchema, body: updateTweetSchema }),
+    updateTweet
+  )
+  .delete(validate({ params: tweetIdParamsSchema }), deleteTweet);
+
+export default router;
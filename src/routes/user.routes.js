@@ -1,21 +1,60 @@
 import { Router } from "express";
 import { upload } from "../middlewares/multer.middleware.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWT, optionalJWT } from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { RATE_LIMITS } from "../constants.js";
 import {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   logOutUser,
   refreshAccessToken,
   changeCurrentPassword,
   getCurrUser,
+  updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
   getUserChannelProfile,
+  getWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
 } from "../controllers/user.controller.js";
+import {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+} from "../controllers/twoFactor.controller.js";
+import { getChannelPosts } from "../controllers/tweet.controller.js";
+import {
+  registerSchema,
+  loginSchema,
+  emailSchema,
+  verifyEmailSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+  refreshTokenSchema,
+  changePasswordSchema,
+  updateAccountSchema,
+  usernameParamsSchema,
+  sessionIdParamsSchema,
+} from "../validations/user.validations.js";
+import { videoIdParamsSchema } from "../validations/video.validations.js";
+import { paginationSchema } from "../validations/common.validations.js";
 
 const router = Router();
 
 router.route("/register").post(
+  rateLimit(RATE_LIMITS.register),
   upload.fields([
     {
       name: "avatar",
@@ -26,28 +65,145 @@ router.route("/register").post(
       maxCount: 1,
     },
   ]),
+  validate({ body: registerSchema }),
   registerUser
 );
 
-router.route("/login").post(loginUser);
+router
+  .route("/login")
+  .post(
+    rateLimit(RATE_LIMITS.login),
+    validate({ body: loginSchema }),
+    loginUser
+  );
+
+router
+  .route("/login/2fa")
+  .post(
+    rateLimit(RATE_LIMITS.login),
+    validate({ body: twoFactorLoginSchema }),
+    verifyTwoFactorLogin
+  );
+
+router
+  .route("/verify-email")
+  .post(
+    rateLimit(RATE_LIMITS.accountEmail),
+    validate({ body: verifyEmailSchema }),
+    verifyEmail
+  );
+
+router
+  .route("/resend-verification-email")
+  .post(
+    rateLimit(RATE_LIMITS.accountEmail),
+    validate({ body: emailSchema }),
+    resendVerificationEmail
+  );
+
+router
+  .route("/forgot-password")
+  .post(
+    rateLimit(RATE_LIMITS.accountEmail),
+    validate({ body: emailSchema }),
+    forgotPassword
+  );
+
+router
+  .route("/reset-password")
+  .post(
+    rateLimit(RATE_LIMITS.accountEmail),
+    validate({ body: resetPasswordSchema }),
+    resetPassword
+  );
 
 // secured routes
 router.route("/logout").post(verifyJWT, logOutUser);
 
-router.route("/refresh-token").post(refreshAccessToken);
+router
+  .route("/refresh-token")
+  .post(
+    rateLimit(RATE_LIMITS.refreshToken),
+    validate({ body: refreshTokenSchema }),
+    refreshAccessToken
+  );
 
-router.route("/change-current-password").post(verifyJWT, changeCurrentPassword);
+router
+  .route("/change-current-password")
+  .post(
+    verifyJWT,
+    validate({ body: changePasswordSchema }),
+    changeCurrentPassword
+  );
 
 router.route("/current-user").get(verifyJWT, getCurrUser);
 
+router
+  .route("/update-account")
+  .patch(
+    verifyJWT,
+    validate({ body: updateAccountSchema }),
+    updateAccountDetails
+  );
+
 router
   .route("/update-user-avatar")
-  .post(upload.single("avatar"), updateUserAvatar);
+  .post(verifyJWT, upload.single("avatar"), updateUserAvatar);
 
 router
   .route("/update-user-cover-image")
-  .post(upload.single("coverImage"), updateUserCoverImage);
+  .post(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
 
-router.route("/user-channel/:username").get(getUserChannelProfile);
+router
+  .route("/user-channel/:username")
+  .get(validate({ params: usernameParamsSchema }), getUserChannelProfile);
+
+router
+  .route("/c/:username/posts")
+  .get(
+    optionalJWT,
+    validate({ params: usernameParamsSchema, query: paginationSchema }),
+    getChannelPosts
+  );
+
+router
+  .route("/history")
+  .get(verifyJWT, getWatchHistory)
+  .delete(verifyJWT, clearWatchHistory);
+
+router
+  .route("/history/:videoId")
+  .delete(
+    verifyJWT,
+    validate({ params: videoIdParamsSchema }),
+    removeFromWatchHistory
+  );
+
+router
+  .route("/sessions")
+  .get(verifyJWT, getSessions)
+  .delete(verifyJWT, revokeOtherSessions);
+
+router
+  .route("/sessions/:sessionId")
+  .delete(
+    verifyJWT,
+    validate({ params: sessionIdParamsSchema }),
+    revokeSession
+  );
+
+router.route("/2fa/enroll").post(verifyJWT, enrollTwoFactor);
+
+router
+  .route("/2fa/confirm")
+  .post(verifyJWT, validate({ body: twoFactorCodeSchema }), confirmTwoFactor);
+
+router
+  .route("/2fa/disable")
+  .post(
+    verifyJWT,
+    validate({ body: disableTwoFactorSchema }),
+    disableTwoFactor
+  );
 
 export default router;
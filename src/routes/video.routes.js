@@ -0,0 +1,101 @@
+import express, { Router } from "express";
+import { upload } from "../middlewares/multer.middleware.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { RATE_LIMITS, UPLOAD_MAX_CHUNK_SIZE } from "../constants.js";
+import {
+  getAllVideos,
+  publishAVideo,
+  getVideoById,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+} from "../controllers/video.controller.js";
+import {
+  createVideoUpload,
+  getVideoUpload,
+  uploadVideoChunk,
+  completeVideoUpload,
+  cancelVideoUpload,
+} from "../controllers/videoUpload.controller.js";
+import {
+  publishVideoSchema,
+  updateVideoSchema,
+  getAllVideosSchema,
+  videoIdParamsSchema,
+  createVideoUploadSchema,
+  uploadIdParamsSchema,
+  uploadChunkParamsSchema,
+} from "../validations/video.validations.js";
+
+const router = Router();
+
+// every video route needs a logged in user
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .get(validate({ query: getAllVideosSchema }), getAllVideos)
+  .post(
+    rateLimit(RATE_LIMITS.publishVideo),
+    upload.fields([
+      {
+        name: "videoFile",
+        maxCount: 1,
+      },
+      {
+        name: "thumbnail",
+        maxCount: 1,
+      },
+    ]),
+    validate({ body: publishVideoSchema }),
+    publishAVideo
+  );
+
+// resumable uploads for files too big for a single request
+router
+  .route("/uploads")
+  .post(validate({ body: createVideoUploadSchema }), createVideoUpload);
+
+router
+  .route("/uploads/:uploadId")
+  .all(validate({ params: uploadIdParamsSchema }))
+  .get(getVideoUpload)
+  .delete(cancelVideoUpload);
+
+// the body is the raw chunk, so only the params are validated
+router.route("/uploads/:uploadId/chunks/:index").put(
+  validate({ params: uploadChunkParamsSchema }),
+  express.raw({
+    type: "application/octet-stream",
+    limit: UPLOAD_MAX_CHUNK_SIZE,
+  }),
+  uploadVideoChunk
+);
+
+router
+  .route("/uploads/:uploadId/complete")
+  .post(
+    rateLimit(RATE_LIMITS.publishVideo),
+    upload.single("thumbnail"),
+    validate({ params: uploadIdParamsSchema, body: publishVideoSchema }),
+    completeVideoUpload
+  );
+
+router
+  .route("/:videoId")
+  .all(validate({ params: videoIdParamsSchema }))
+  .get(getVideoById)
+  .patch(
+    upload.single("thumbnail"),
+    validate({ body: updateVideoSchema }),
+    updateVideo
+  )
+  .delete(deleteVideo);
+
+router
+  .route("/toggle/publish/:videoId")
+  .patch(validate({ params: videoIdParamsSchema }), togglePublishStatus);
+
+export default router;
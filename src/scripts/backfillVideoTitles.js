@@ -0,0 +1,39 @@
+// One-off migration: fills titleLower, which search suggestions match
+// against, for videos saved before it existed. Lowercased here rather than
+// with $toLower, which only handles ASCII, so it matches what the model does.
+// Run with `npm run migrate:video-titles`, it is safe to rerun.
+import mongoose from "mongoose";
+import { connectDB } from "../db/connect.js";
+
+const BATCH_SIZE = 1000;
+
+await connectDB();
+
+const collection = mongoose.connection.db.collection("videos");
+const cursor = collection
+  .find({ titleLower: { $exists: false } })
+  .project({ title: 1 });
+
+let batch = [];
+let count = 0;
+
+const flush = async () => {
+  await collection.bulkWrite(batch, { ordered: false });
+  count += batch.length;
+  batch = [];
+};
+
+for await (const video of cursor) {
+  batch.push({
+    updateOne: {
+      filter: { _id: video._id },
+      update: { $set: { titleLower: String(video.title ?? "").toLowerCase() } },
+    },
+  });
+  if (batch.length >= BATCH_SIZE) await flush();
+}
+if (batch.length) await flush();
+
+console.log(`videos.titleLower: filled ${count} documents`);
+
+await mongoose.disconnect();
@@ -0,0 +1,83 @@
+// Lists files in storage that no document references any more, e.g. left
+// behind by a crash between upload and save. Run with
+// `npm run assets:orphans`, add `-- --delete` to remove them.
+// `--provider=<name>` checks another provider than STORAGE_PROVIDER.
+import mongoose from "mongoose";
+import { connectDB } from "../db/connect.js";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { providers, deleteFile, imageAssets } from "../utils/storage/index.js";
+
+// uploads still being handled by a request are not orphans yet
+const MIN_AGE_MS = 60 * 60 * 1000;
+
+const args = process.argv.slice(2);
+const shouldDelete = args.includes("--delete");
+const providerName =
+  args.find((arg) => arg.startsWith("--provider="))?.split("=")[1] ||
+  process.env.STORAGE_PROVIDER ||
+  "cloudinary";
+
+const provider = providers[providerName];
+
+if (!provider) {
+  console.error(`Unknown storage provider "${providerName}"`);
+  process.exit(1);
+}
+
+const collectReferencedIds = async () => {
+  const ids = new Set();
+
+  const sources = [
+    [
+      User,
+      "avatar coverImage",
+      (user) => [...imageAssets(user.avatar), ...imageAssets(user.coverImage)],
+    ],
+    [
+      Video,
+      "videoFile thumbnail",
+      (video) => [video.videoFile, ...imageAssets(video.thumbnail)],
+    ],
+    [Tweet, "image", (tweet) => imageAssets(tweet.image)],
+  ];
+
+  for (const [Model, fields, getAssets] of sources) {
+    for await (const doc of Model.find({}, fields).lean().cursor()) {
+      for (const asset of getAssets(doc)) {
+        if (asset?.provider === providerName) ids.add(asset.publicId);
+      }
+    }
+  }
+
+  return ids;
+};
+
+await connectDB();
+
+const referencedIds = await collectReferencedIds();
+const stored = await provider.list();
+const cutoff = Date.now() - MIN_AGE_MS;
+
+const orphans = stored.filter(
+  (asset) => !referencedIds.has(asset.publicId) && asset.createdAt < cutoff
+);
+
+for (const asset of orphans) {
+  if (shouldDelete) {
+    const deleted = await deleteFile({ provider: providerName, ...asset });
+    console.log(
+      `${deleted ? "deleted" : "failed to delete"} ${asset.publicId}`
+    );
+  } else {
+    console.log(asset.publicId);
+  }
+}
+
+console.log(
+  `${providerName}: ${orphans.length} orphaned of ${stored.length} stored files` +
+    (shouldDelete ? "" : " (dry run, pass --delete to remove them)")
+);
+
+await mongoose.disconnect();
@@ -0,0 +1,73 @@
+// One-off migration: turns the plain Cloudinary URLs stored before the
+// storage abstraction into asset references ({ provider, publicId, url }),
+// then wraps single image references into size variants, all pointing at the
+// original file. Run with `npm run migrate:assets`, it is safe to rerun.
+import mongoose from "mongoose";
+import { connectDB } from "../db/connect.js";
+
+// e.g. https://res.cloudinary.com/<cloud>/video/upload/v1712/folder/abc.mp4
+const toAssetRef = (url) => {
+  const match = url.match(
+    /\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.[^/.]+)?$/
+  );
+
+  return {
+    provider: "cloudinary",
+    publicId: match?.[2] ?? url,
+    url,
+    resourceType: match?.[1] ?? "image",
+  };
+};
+
+const migrateField = async (collectionName, field) => {
+  const collection = mongoose.connection.db.collection(collectionName);
+  const cursor = collection.find({ [field]: { $type: "string" } });
+
+  let count = 0;
+  for await (const doc of cursor) {
+    await collection.updateOne(
+      { _id: doc._id },
+      { $set: { [field]: toAssetRef(doc[field]) } }
+    );
+    count += 1;
+  }
+
+  console.log(`${collectionName}.${field}: migrated ${count} documents`);
+};
+
+// { provider, publicId, ... } -> { small, medium, large } of the same file
+const wrapImageField = async (collectionName, field) => {
+  const collection = mongoose.connection.db.collection(collectionName);
+
+  const { modifiedCount } = await collection.updateMany(
+    { [`${field}.publicId`]: { $exists: true } },
+    [
+      {
+        $set: {
+          [field]: {
+            small: `$${field}`,
+            medium: `$${field}`,
+            large: `$${field}`,
+          },
+        },
+      },
+    ]
+  );
+
+  console.log(
+    `${collectionName}.${field}: wrapped ${modifiedCount} images into variants`
+  );
+};
+
+await connectDB();
+
+await migrateField("users", "avatar");
+await migrateField("users", "coverImage");
+await migrateField("videos", "videoFile");
+await migrateField("videos", "thumbnail");
+
+await wrapImageField("users", "avatar");
+await wrapImageField("users", "coverImage");
+await wrapImageField("videos", "thumbnail");
+
+await mongoose.disconnect();
@@ -0,0 +1,39 @@
+// Gives an account a staff role, e.g. to create the first admin, who can then
+// manage everyone else through the API. Run with
+// `npm run users:promote -- <username>`, add `--role=moderator` for another
+// role than admin, or `--role=user` to demote.
+import mongoose from "mongoose";
+import { connectDB } from "../db/connect.js";
+import { User, USER_ROLES } from "../models/user.model.js";
+
+const args = process.argv.slice(2);
+const username = args.find((arg) => !arg.startsWith("--"))?.toLowerCase();
+const role =
+  args.find((arg) => arg.startsWith("--role="))?.split("=")[1] || "admin";
+
+if (!username) {
+  console.error("Usage: npm run users:promote -- <username> [--role=<role>]");
+  process.exit(1);
+}
+
+if (!USER_ROLES.includes(role)) {
+  console.error(`Unknown role "${role}", use one of: ${USER_ROLES.join(", ")}`);
+  process.exit(1);
+}
+
+await connectDB();
+
+const user = await User.findOneAndUpdate(
+  { username },
+  { $set: { role } },
+  { new: true }
+);
+
+if (user) {
+  console.log(`${user.username} is now ${role}`);
+} else {
+  console.error(`No user named "${username}"`);
+  process.exitCode = 1;
+}
+
+await mongoose.disconnect();
@@ -0,0 +1,19 @@
+// One-off migration: refresh tokens now live hashed on their session, but
+// users saved before that still carry the old plaintext `refreshToken`,
+// which would show up wherever a user document is returned. Removes it.
+// Run with `npm run migrate:refresh-tokens`, it is safe to rerun.
+import mongoose from "mongoose";
+import { connectDB } from "../db/connect.js";
+
+await connectDB();
+
+const { modifiedCount } = await mongoose.connection.db
+  .collection("users")
+  .updateMany(
+    { refreshToken: { $exists: true } },
+    { $unset: { refreshToken: "" } }
+  );
+
+console.log(`users: removed ${modifiedCount} plaintext refresh tokens`);
+
+await mongoose.disconnect();
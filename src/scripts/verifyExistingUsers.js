@@ -0,0 +1,19 @@
+// One-off migration: accounts created before email verification was added
+// have no isEmailVerified field and could no longer log in. Marks them as
+// verified, accounts registered since keep their state. Run with
+// `npm run migrate:verify-users`, it is safe to rerun.
+import mongoose from "mongoose";
+import { connectDB } from "../db/connect.js";
+
+await connectDB();
+
+const { modifiedCount } = await mongoose.connection.db
+  .collection("users")
+  .updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+
+console.log(`users: marked ${modifiedCount} existing accounts as verified`);
+
+await mongoose.disconnect();
@@ -0,0 +1,33 @@
+import crypto from "crypto";
+import { AuthToken } from "../models/authToken.model.js";
+import { hashToken } from "./hashToken.js";
+
+// Creates a token of `type` for the user, replacing any earlier one of the
+// same type, and returns the raw value to be mailed.
+const issueAuthToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await AuthToken.deleteMany({ user: userId, type });
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Deletes the token so it cannot be used twice. Returns its user id, or null
+// when the token is unknown, already used or expired.
+const consumeAuthToken = async (token, type) => {
+  const authToken = await AuthToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return authToken?.user ?? null;
+};
+
+export { issueAuthToken, consumeAuthToken };
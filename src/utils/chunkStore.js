@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import { isValidObjectId } from "mongoose";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { getTempFileName } from "./uploadPolicy.js";
+
+// Chunks of resumable uploads, stored as <CHUNK_DIR>/<uploadId>/<index>.
+// Unpublished videos, so never under public/, which express.static serves.
+const CHUNK_DIR = path.resolve("tmp/chunks");
+
+const getUploadDir = (uploadId) => path.join(CHUNK_DIR, String(uploadId));
+
+const getChunkPath = (uploadId, index) =>
+  path.join(getUploadDir(uploadId), String(index));
+
+// where assembleChunks may put the whole file, next to the chunks so that
+// removeChunks and the sweep clean it up too
+const getAssembledFilePath = (uploadId, fileName) =>
+  path.join(getUploadDir(uploadId), getTempFileName(fileName));
+
+// written under a temp name first, so a chunk on disk is always complete
+const writeChunk = async (uploadId, index, data) => {
+  const chunkPath = getChunkPath(uploadId, index);
+
+  await fs.promises.mkdir(path.dirname(chunkPath), { recursive: true });
+  await fs.promises.writeFile(`${chunkPath}.part`, data);
+  await fs.promises.rename(`${chunkPath}.part`, chunkPath);
+};
+
+// Concatenates chunks 0..totalChunks-1 into outputPath, one chunk in memory
+// at a time.
+const assembleChunks = async (uploadId, totalChunks, outputPath) => {
+  const output = await fs.promises.open(outputPath, "w");
+
+  try {
+    for (let index = 0; index < totalChunks; index += 1) {
+      await output.write(
+        await fs.promises.readFile(getChunkPath(uploadId, index))
+      );
+    }
+  } finally {
+    await output.close();
+  }
+};
+
+const removeChunks = (uploadId) =>
+  fs.promises.rm(getUploadDir(uploadId), {
+    recursive: true,
+    force: true,
+  });
+
+// Removes the chunks of every upload that no longer has a live session, i.e.
+// abandoned uploads that expired and leftovers of crashed requests.
+const sweepAbandonedChunks = async () => {
+  const entries = await fs.promises
+    .readdir(CHUNK_DIR, { withFileTypes: true })
+    .catch((err) => (err.code === "ENOENT" ? [] : Promise.reject(err)));
+
+  const uploadIds = entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+
+  const live = await UploadSession.find({
+    _id: { $in: uploadIds.filter((id) => isValidObjectId(id)) },
+    expiresAt: { $gt: new Date() },
+  }).distinct("_id");
+
+  const liveIds = new Set(live.map(String));
+  const abandoned = uploadIds.filter((id) => !liveIds.has(id));
+
+  await Promise.all(abandoned.map(removeChunks));
+  return abandoned.length;
+};
+
+const scheduleChunkSweep = (intervalMs = 60 * 60 * 1000) => {
+  const sweep = () =>
+    sweepAbandonedChunks().catch((err) =>
+      console.error("Chunk sweep error:", err)
+    );
+
+  sweep();
+  setInterval(sweep, intervalMs).unref();
+};
+
+export {
+  getAssembledFilePath,
+  writeChunk,
+  assembleChunks,
+  removeChunks,
+  sweepAbandonedChunks,
+  scheduleChunkSweep,
+};
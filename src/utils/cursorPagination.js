@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// Cursor pagination over (createdAt, _id), newest first. The cursor is the
+// position of the last item of the previous page, so items published in the
+// meantime never shift the next page. cursorPaginationSchema parses it.
+
+const encodeCursor = ({ createdAt, _id }) =>
+  Buffer.from(`${new Date(createdAt).getTime()}:${_id}`).toString("base64url");
+
+// { createdAt, _id }, or null when the cursor is not one of ours
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, "base64url").toString().split(":");
+  const createdAt = new Date(Number(time));
+
+  if (!id || !mongoose.isValidObjectId(id) || isNaN(createdAt)) {
+    return null;
+  }
+
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// $match conditions for the items after the cursor. A top level $or would
+// keep the planner from bounding the index scan on createdAt, so the tie on
+// createdAt is excluded with $nor, which only filters.
+const afterCursor = (after) =>
+  after
+    ? {
+        createdAt: { $lte: after.createdAt },
+        $nor: [{ createdAt: after.createdAt, _id: { $gte: after._id } }],
+      }
+    : {};
+
+// Pipelines fetch limit + 1 items, the extra one only tells that more exist.
+const toCursorPage = (items, limit) => {
+  const docs = items.slice(0, limit);
+  const hasNextPage = items.length > limit;
+
+  return {
+    docs,
+    limit,
+    hasNextPage,
+    nextCursor: hasNextPage ? encodeCursor(docs.at(-1)) : null,
+  };
+};
+
+export { decodeCursor, afterCursor, toCursorPage };
@@ -0,0 +1,4 @@
+// Makes user input safe to embed in a RegExp.
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export { escapeRegex };
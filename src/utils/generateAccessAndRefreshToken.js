@@ -1,23 +1,59 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 import { ApiError } from "./ApiError.js";
+import { hashToken } from "./hashToken.js";
+
+// Issues a token pair for one device. Without a sessionId a new session is
+// created (login). Otherwise the session's refresh token is rotated, but only
+// if it is still at `generation`, so two concurrent rotations cannot both win.
+const generateAccessAndRefreshToken = async (
+  userId,
+  { sessionId, generation, userAgent = "", ip = "" } = {}
+) => {
+  let tokens, result;
 
-const generateAccessAndRefreshToken = async (userId) => {
   try {
     const user = await User.findById(userId);
 
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    const sid = sessionId ?? new mongoose.Types.ObjectId();
+    const nextGeneration = sessionId ? generation + 1 : 0;
+
+    const accessToken = user.generateAccessToken(sid);
+    const refreshToken = user.generateRefreshToken(sid, nextGeneration);
+    const { exp } = jwt.decode(refreshToken);
 
-    user.refreshToken = refreshToken;
-    await user.save({ validationBeforeSave: false });
+    result = await Session.updateOne(
+      sessionId
+        ? { _id: sid, user: user._id, generation }
+        : { _id: sid, user: user._id },
+      {
+        $set: {
+          refreshTokenHash: hashToken(refreshToken),
+          generation: nextGeneration,
+          userAgent,
+          ip,
+          lastUsedAt: new Date(),
+          expiresAt: new Date(exp * 1000),
+        },
+      },
+      { upsert: !sessionId }
+    );
 
-    return { accessToken, refreshToken };
+    tokens = { accessToken, refreshToken, sessionId: sid };
   } catch (err) {
     throw new ApiError(
       500,
       "Something went wrong! while generating Access and Refresh tokens"
     );
   }
+
+  if (!result.matchedCount && !result.upsertedCount) {
+    throw new ApiError(401, "Session was refreshed elsewhere or revoked");
+  }
+
+  return tokens;
 };
 
 export { generateAccessAndRefreshToken };
@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+
+// Turns an uploaded image into one WebP file per size of the preset, written
+// next to the source. Each file is auto-oriented, centre-cropped to the
+// preset's aspect ratio (if it has one) and carries no EXIF data, since sharp
+// drops metadata unless asked to keep it. Images are never enlarged, so a
+// small source gives smaller variants. Resolves to
+// [{ name, path, width, height }]. If any size fails, none are left behind.
+const processImage = async (localFilePath, preset) => {
+  const { autoOrient } = await sharp(localFilePath).metadata();
+  const aspectRatio =
+    preset.aspectRatio ?? autoOrient.width / autoOrient.height;
+
+  // the largest region with that aspect ratio
+  const cropWidth = Math.min(autoOrient.width, autoOrient.height * aspectRatio);
+
+  const { dir, name: baseName } = path.parse(localFilePath);
+
+  const variants = Object.entries(preset.widths).map(([name, maxWidth]) => {
+    const width = Math.max(1, Math.floor(Math.min(maxWidth, cropWidth)));
+    const height = Math.max(1, Math.round(width / aspectRatio));
+    const outputPath = path.join(dir, `${baseName}-${name}.webp`);
+
+    return { name, path: outputPath, width, height };
+  });
+
+  // allSettled, so no size is still being written when the cleanup runs
+  const results = await Promise.allSettled(
+    variants.map(async (variant) =>
+      sharp(localFilePath)
+        .autoOrient()
+        .resize(variant.width, variant.height, { fit: "cover" })
+        .webp({ quality: 82 })
+        .toFile(variant.path)
+    )
+  );
+
+  const failed = results.find((result) => result.status === "rejected");
+
+  if (failed) {
+    await Promise.all(
+      variants.map((variant) => fs.promises.rm(variant.path, { force: true }))
+    );
+    throw failed.reason;
+  }
+
+  return variants;
+};
+
+export { processImage };
@@ -0,0 +1,174 @@
+import { LoginAttempt } from "../models/loginAttempt.model.js";
+import {
+  LOGIN_MAX_FAILURES_PER_ACCOUNT,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_BASE_MS,
+  LOGIN_LOCKOUT_MAX_MS,
+  LOGIN_ATTEMPT_TTL_MS,
+} from "../constants.js";
+
+// A store keeps { failures, lockouts, lockedUntil } per key and implements
+// get(key), recordFailure(key, ttlMs), lock(key, lockedUntil, ttlMs) and
+// reset(key).
+
+const createMemoryLockoutStore = () => {
+  const records = new Map();
+
+  const get = async (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record ?? null;
+  };
+
+  // drop expired keys now and then so the map cannot grow forever
+  setInterval(
+    () => {
+      const now = Date.now();
+      for (const [key, record] of records) {
+        if (record.expiresAt <= now) records.delete(key);
+      }
+    },
+    10 * 60 * 1000
+  ).unref();
+
+  return {
+    get,
+    recordFailure: async (key, ttlMs) => {
+      const record = (await get(key)) ?? { failures: 0, lockouts: 0 };
+      record.failures += 1;
+      record.expiresAt = Date.now() + ttlMs;
+      records.set(key, record);
+      return record;
+    },
+    lock: async (key, lockedUntil, ttlMs) => {
+      const record = (await get(key)) ?? { failures: 0, lockouts: 0 };
+      record.failures = 0;
+      record.lockouts += 1;
+      record.lockedUntil = lockedUntil;
+      record.expiresAt = lockedUntil.getTime() + ttlMs;
+      records.set(key, record);
+    },
+    reset: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+const createMongoLockoutStore = () => {
+  const upsert = async (filter, update) => {
+    const options = { upsert: true, new: true, lean: true };
+    try {
+      return await LoginAttempt.findOneAndUpdate(filter, update, options);
+    } catch (err) {
+      // two first failures raced to insert the key, the loser just retries
+      if (err?.code !== 11000) throw err;
+      return LoginAttempt.findOneAndUpdate(filter, update, options);
+    }
+  };
+
+  return {
+    get: (key) => LoginAttempt.findOne({ key }).lean(),
+    recordFailure: (key, ttlMs) =>
+      upsert(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { expiresAt: new Date(Date.now() + ttlMs) },
+        }
+      ),
+    lock: async (key, lockedUntil, ttlMs) => {
+      await upsert(
+        { key },
+        {
+          $inc: { lockouts: 1 },
+          $set: {
+            failures: 0,
+            lockedUntil,
+            expiresAt: new Date(lockedUntil.getTime() + ttlMs),
+          },
+        }
+      );
+    },
+    reset: async (key) => {
+      await LoginAttempt.deleteOne({ key });
+    },
+  };
+};
+
+let store;
+
+// Lets the app (or tests) plug in another store.
+const setLoginLockoutStore = (newStore) => {
+  store = newStore;
+};
+
+const getStore = () => {
+  store ??=
+    process.env.LOGIN_LOCKOUT_STORE === "mongo"
+      ? createMongoLockoutStore()
+      : createMemoryLockoutStore();
+  return store;
+};
+
+// `account` is the user id when the account exists, otherwise the submitted
+// username/email, so unknown accounts lock out exactly like real ones.
+const getLoginKeys = (account, ip) => ({
+  account: `account:${account}`,
+  ip: `ip:${ip}`,
+});
+
+// Milliseconds until every key is unlocked, 0 when none is locked.
+const getLockoutRemaining = async (keys) => {
+  const records = await Promise.all(
+    Object.values(keys).map((key) => getStore().get(key))
+  );
+
+  const now = Date.now();
+  return Math.max(
+    0,
+    ...records.map((record) =>
+      record?.lockedUntil ? new Date(record.lockedUntil).getTime() - now : 0
+    )
+  );
+};
+
+const recordLoginFailure = async (keys) => {
+  const limits = {
+    account: LOGIN_MAX_FAILURES_PER_ACCOUNT,
+    ip: LOGIN_MAX_FAILURES_PER_IP,
+  };
+
+  for (const [type, key] of Object.entries(keys)) {
+    const record = await getStore().recordFailure(key, LOGIN_ATTEMPT_TTL_MS);
+
+    if (record.failures >= limits[type]) {
+      const duration = Math.min(
+        LOGIN_LOCKOUT_BASE_MS * 2 ** (record.lockouts ?? 0),
+        LOGIN_LOCKOUT_MAX_MS
+      );
+      await getStore().lock(
+        key,
+        new Date(Date.now() + duration),
+        LOGIN_ATTEMPT_TTL_MS
+      );
+    }
+  }
+};
+
+// A successful login clears the account's history, not the IP's.
+const clearLoginFailures = async (keys) => {
+  await getStore().reset(keys.account);
+};
+
+export {
+  createMemoryLockoutStore,
+  createMongoLockoutStore,
+  setLoginLockoutStore,
+  getLoginKeys,
+  getLockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,41 @@
+// Aggregation stages that replace the array of ids in `field` with the
+// documents of `from` they point at, in the array's order. $lookup alone
+// does not keep that order. Ids whose document `pipeline` filters out (or
+// that no longer exist) are dropped.
+const lookupInOrder = ({ from, field, pipeline = [] }) => [
+  {
+    $lookup: {
+      from,
+      localField: field,
+      foreignField: "_id",
+      as: "lookedUpDocs",
+      pipeline,
+    },
+  },
+  {
+    $addFields: {
+      [field]: {
+        $filter: {
+          input: {
+            $map: {
+              input: `$${field}`,
+              as: "id",
+              in: {
+                $first: {
+                  $filter: {
+                    input: "$lookedUpDocs",
+                    cond: { $eq: ["$$this._id", "$$id"] },
+                  },
+                },
+              },
+            },
+          },
+          cond: { $eq: [{ $type: "$$this" }, "object"] },
+        },
+      },
+    },
+  },
+  { $project: { lookedUpDocs: 0 } },
+];
+
+export { lookupInOrder };
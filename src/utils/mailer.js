@@ -0,0 +1,46 @@
+import fs from "fs";
+import path from "path";
+
+// Transports take { to, subject, text } and deliver it somewhere.
+
+const consoleTransport = {
+  name: "console",
+  send: async (mail) => {
+    console.log(
+      `\n[mail] to: ${mail.to}\n[mail] subject: ${mail.subject}\n${mail.text}\n`
+    );
+  },
+};
+
+const createFileTransport = (
+  dir = process.env.MAIL_FILE_DIR || "./logs/mail"
+) => ({
+  name: "file",
+  send: async (mail) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${mail.to.replace(/[^\w.@-]/g, "_")}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+});
+
+const defaultTransport = () =>
+  process.env.MAIL_TRANSPORT === "file"
+    ? createFileTransport()
+    : consoleTransport;
+
+let transport;
+
+// Lets the app (or tests) plug in any other transport, e.g. an SMTP client.
+const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = async (mail) => {
+  transport ??= defaultTransport();
+  await transport.send(mail);
+};
+
+export { sendMail, setMailTransport, consoleTransport, createFileTransport };
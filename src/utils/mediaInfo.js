@@ -0,0 +1,173 @@
+import fs from "fs";
+import sharp from "sharp";
+
+// Recognises uploads from their first bytes and reads basic metadata. Only
+// the formats the app accepts are known.
+
+const HEADER_BYTES = 4 * 1024;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString("latin1", start, end);
+
+// ISO-BMFF major brands of video files. The same container also carries
+// images (avif, heic, mif1, ...), which must not pass as videos.
+const MP4_BRANDS = ["isom", "iso2", "mp41", "mp42", "avc1", "M4V "];
+const QUICKTIME_BRANDS = ["qt  "];
+
+// EBML variable length integer at `offset`: { length, value }, where the
+// value keeps the length marker bits for element ids.
+const readVint = (buffer, offset, keepMarker = false) => {
+  const first = buffer[offset];
+  if (!first) return null;
+
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  for (let i = 1; i < length; i++) value = value * 256 + buffer[offset + i];
+
+  return { length, value };
+};
+
+// DocType of the EBML header, "webm" or "matroska"
+const getEbmlDocType = (buffer) => {
+  const header = readVint(buffer, 4);
+  if (!header) return null;
+
+  let offset = 4 + header.length;
+  const end = Math.min(offset + header.value, buffer.length);
+
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    if (!id) return null;
+    const size = readVint(buffer, offset + id.length);
+    if (!size) return null;
+
+    const dataStart = offset + id.length + size.length;
+    if (id.value === 0x4282) {
+      return ascii(buffer, dataStart, dataStart + size.value);
+    }
+    offset = dataStart + size.value;
+  }
+  return null;
+};
+
+const detectFileType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return { mime: "image/jpeg", ext: ".jpg", kind: "image" };
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mime: "image/png", ext: ".png", kind: "image" };
+  }
+  if (ascii(buffer, 0, 4) === "GIF8") {
+    return { mime: "image/gif", ext: ".gif", kind: "image" };
+  }
+  if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP") {
+    return { mime: "image/webp", ext: ".webp", kind: "image" };
+  }
+  if (ascii(buffer, 4, 8) === "ftyp") {
+    const brand = ascii(buffer, 8, 12);
+    if (QUICKTIME_BRANDS.includes(brand)) {
+      return { mime: "video/quicktime", ext: ".mov", kind: "video" };
+    }
+    if (MP4_BRANDS.includes(brand)) {
+      return { mime: "video/mp4", ext: ".mp4", kind: "video" };
+    }
+    return null;
+  }
+  // Matroska shares the magic number, only the DocType tells them apart
+  if (
+    startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) &&
+    getEbmlDocType(buffer) === "webm"
+  ) {
+    return { mime: "video/webm", ext: ".webm", kind: "video" };
+  }
+  return null;
+};
+
+// sharp reads only as much of the file as it needs, however far into it
+// the dimensions are (e.g. a JPEG SOF marker after a large EXIF block)
+const getImageDimensions = async (filePath) => {
+  try {
+    const { width, height } = await sharp(filePath).metadata();
+    return { width, height };
+  } catch {
+    return null;
+  }
+};
+
+// Walks the top level boxes of an MP4/MOV file to the movie header, which
+// holds the duration. moov may sit at the end, so only headers are read.
+const getMp4Duration = async (handle, size) => {
+  const header = Buffer.alloc(16);
+
+  const findBox = async (start, end, type) => {
+    let position = start;
+    while (position + 8 <= end) {
+      await handle.read(header, 0, 16, position);
+      let boxSize = header.readUInt32BE(0);
+      let headerSize = 8;
+      if (boxSize === 1) {
+        boxSize = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (boxSize === 0) {
+        boxSize = end - position;
+      }
+      if (boxSize < headerSize) return null;
+      if (ascii(header, 4, 8) === type) {
+        return { start: position + headerSize, end: position + boxSize };
+      }
+      position += boxSize;
+    }
+    return null;
+  };
+
+  const moov = await findBox(0, size, "moov");
+  if (!moov) return null;
+
+  const mvhd = await findBox(moov.start, moov.end, "mvhd");
+  if (!mvhd) return null;
+
+  const body = Buffer.alloc(32);
+  await handle.read(body, 0, 32, mvhd.start);
+
+  const version = body[0];
+  const timescale =
+    version === 1 ? body.readUInt32BE(20) : body.readUInt32BE(12);
+  const duration =
+    version === 1 ? Number(body.readBigUInt64BE(24)) : body.readUInt32BE(16);
+
+  return timescale ? duration / timescale : null;
+};
+
+// { mime, ext, kind, bytes, width?, height?, duration? } or null when the
+// file is not of a known type.
+const probeFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+
+  try {
+    const { size } = await handle.stat();
+    const buffer = Buffer.alloc(Math.min(size, HEADER_BYTES));
+    await handle.read(buffer, 0, buffer.length, 0);
+
+    const type = detectFileType(buffer);
+    if (!type) return null;
+
+    const info = { ...type, bytes: size };
+
+    if (type.kind === "image") {
+      Object.assign(info, await getImageDimensions(filePath));
+    } else if (type.mime === "video/mp4" || type.mime === "video/quicktime") {
+      const duration = await getMp4Duration(handle, size);
+      if (duration !== null) info.duration = duration;
+    }
+
+    return info;
+  } finally {
+    await handle.close();
+  }
+};
+
+export { detectFileType, probeFile };
@@ -0,0 +1,110 @@
+import { EventEmitter } from "events";
+import { Notification } from "../models/notification.model.js";
+import { NotificationMute } from "../models/notificationMute.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { User } from "../models/user.model.js";
+
+// Live delivery to the open notification streams of this process. With more
+// than one instance a user only hears about notifications created by the
+// instance their stream is connected to, the rest shows up when they list
+// their notifications.
+const live = new EventEmitter();
+live.setMaxListeners(0);
+
+const subscribeToNotifications = (userId, listener) => {
+  live.on(String(userId), listener);
+  return () => live.off(String(userId), listener);
+};
+
+const FAN_OUT_BATCH_SIZE = 1000;
+
+const getActor = (actorId) =>
+  User.findById(actorId).select("username fullName avatar").lean();
+
+const deliver = (notifications, actor) => {
+  for (const notification of notifications) {
+    live.emit(String(notification.recipient), {
+      ...notification.toObject(),
+      actor,
+    });
+  }
+};
+
+// Notifies `recipient` about something `actor` did, e.g.
+// notify({ recipient, actor, type: "video_like", video }). Nobody is notified
+// about their own actions or by a channel they muted, and liking the same
+// thing again does not notify twice. Never throws, a notification must not
+// fail the request that caused it.
+const notify = async ({ recipient, actor, type, ...target }) => {
+  try {
+    if (!recipient || recipient.equals(actor)) return;
+
+    const muted = await NotificationMute.exists({
+      user: recipient,
+      channel: actor,
+    });
+    if (muted) return;
+
+    if (type.endsWith("_like")) {
+      const exists = await Notification.exists({
+        recipient,
+        actor,
+        type,
+        ...target,
+      });
+      if (exists) return;
+    }
+
+    const notification = await Notification.create({
+      recipient,
+      actor,
+      type,
+      ...target,
+    });
+
+    deliver([notification], await getActor(actor));
+  } catch (err) {
+    console.error("Notification error:", err);
+  }
+};
+
+// Tells every subscriber of the video's channel, except those who muted it.
+// Big channels are written in batches; callers need not wait for it.
+const notifySubscribers = async (video) => {
+  try {
+    const actor = await getActor(video.owner);
+    const muted = await NotificationMute.find({
+      channel: video.owner,
+    }).distinct("user");
+
+    const cursor = Subscription.find({
+      channel: video.owner,
+      subscriber: { $nin: muted },
+    })
+      .select("subscriber")
+      .lean()
+      .cursor();
+
+    let batch = [];
+    const flush = async () => {
+      const notifications = await Notification.insertMany(batch);
+      deliver(notifications, actor);
+      batch = [];
+    };
+
+    for await (const { subscriber } of cursor) {
+      batch.push({
+        recipient: subscriber,
+        actor: video.owner,
+        type: "video_published",
+        video: video._id,
+      });
+      if (batch.length >= FAN_OUT_BATCH_SIZE) await flush();
+    }
+    if (batch.length) await flush();
+  } catch (err) {
+    console.error("Notification fan-out error:", err);
+  }
+};
+
+export { subscribeToNotifications, notify, notifySubscribers };
@@ -0,0 +1,40 @@
+import { ApiError } from "./ApiError.js";
+import { Video } from "../models/video.model.js";
+import { notifySubscribers } from "./notifications.js";
+import { uploadTrackedFile, uploadTrackedImage } from "./storage/index.js";
+
+// Stores the video file and thumbnail, creates the video and tells the
+// channel's subscribers. Shared by publishing in one request and completing
+// a resumable upload.
+const publishVideo = async (
+  req,
+  { videoLocalPath, thumbnailLocalPath, title, description }
+) => {
+  const videoFile = await uploadTrackedFile(req, videoLocalPath, {
+    folder: "videos",
+  });
+  const thumbnail = await uploadTrackedImage(req, thumbnailLocalPath, {
+    folder: "thumbnails",
+    preset: "thumbnail",
+  });
+
+  if (!videoFile?.url || !thumbnail) {
+    throw new ApiError(500, "Failed to upload video to storage");
+  }
+
+  const video = await Video.create({
+    videoFile,
+    thumbnail,
+    title,
+    description,
+    duration: videoFile.metadata.duration ?? 0,
+    owner: req.user._id,
+  });
+
+  // runs in the background, big channels have many subscribers
+  notifySubscribers(video);
+
+  return video;
+};
+
+export { publishVideo };
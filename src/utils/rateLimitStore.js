@@ -0,0 +1,174 @@
+import { RateLimit } from "../models/rateLimit.model.js";
+
+// A store implements consume(key, policy) and answers with
+// { allowed, remaining, resetMs } for the hit it just counted.
+// For a token bucket `resetMs` is the time until the next token when the hit
+// was refused, and until the bucket is full again otherwise.
+
+const fixedWindow = (policy, now) => {
+  const windowStart = Math.floor(now / policy.windowMs) * policy.windowMs;
+  return { windowStart, resetMs: windowStart + policy.windowMs - now };
+};
+
+const bucketResult = (policy, tokens, allowed) => ({
+  allowed,
+  remaining: Math.floor(tokens),
+  resetMs:
+    ((allowed ? policy.capacity - tokens : 1 - tokens) /
+      policy.refillPerSecond) *
+    1000,
+});
+
+const createMemoryRateLimitStore = () => {
+  const records = new Map();
+
+  // drop expired keys now and then so the map cannot grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, record] of records) {
+      if (record.expiresAt <= now) records.delete(key);
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    consume: async (key, policy) => {
+      const now = Date.now();
+
+      if (policy.algorithm === "token-bucket") {
+        const record = records.get(key) ?? {
+          tokens: policy.capacity,
+          refilledAt: now,
+        };
+
+        const elapsed = (now - record.refilledAt) / 1000;
+        let tokens = Math.min(
+          policy.capacity,
+          record.tokens + elapsed * policy.refillPerSecond
+        );
+        const allowed = tokens >= 1;
+        if (allowed) tokens -= 1;
+
+        // once the bucket is full again the record carries no information
+        records.set(key, {
+          tokens,
+          refilledAt: now,
+          expiresAt:
+            now + ((policy.capacity - tokens) / policy.refillPerSecond) * 1000,
+        });
+        return bucketResult(policy, tokens, allowed);
+      }
+
+      const { windowStart, resetMs } = fixedWindow(policy, now);
+      const record = records.get(key);
+      const count = record?.windowStart === windowStart ? record.count + 1 : 1;
+
+      records.set(key, { count, windowStart, expiresAt: now + resetMs });
+
+      return {
+        allowed: count <= policy.limit,
+        remaining: Math.max(0, policy.limit - count),
+        resetMs,
+      };
+    },
+  };
+};
+
+// Each hit is a single atomic update, so concurrent instances agree.
+const createMongoRateLimitStore = () => {
+  const upsert = async (filter, update) => {
+    const options = { upsert: true, new: true, lean: true };
+    try {
+      return await RateLimit.findOneAndUpdate(filter, update, options);
+    } catch (err) {
+      // two first hits raced to insert the key, the loser just retries
+      if (err?.code !== 11000) throw err;
+      return RateLimit.findOneAndUpdate(filter, update, options);
+    }
+  };
+
+  return {
+    consume: async (key, policy) => {
+      const now = new Date();
+
+      if (policy.algorithm === "token-bucket") {
+        const refilled = {
+          $min: [
+            policy.capacity,
+            {
+              $add: [
+                { $ifNull: ["$tokens", policy.capacity] },
+                {
+                  $multiply: [
+                    {
+                      $divide: [
+                        { $subtract: [now, { $ifNull: ["$refilledAt", now] }] },
+                        1000,
+                      ],
+                    },
+                    policy.refillPerSecond,
+                  ],
+                },
+              ],
+            },
+          ],
+        };
+
+        const record = await upsert({ key }, [
+          { $set: { tokens: refilled, refilledAt: now } },
+          { $set: { allowed: { $gte: ["$tokens", 1] } } },
+          {
+            $set: {
+              tokens: {
+                $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"],
+              },
+              // at the latest the bucket is full again by then
+              expiresAt: new Date(
+                now.getTime() +
+                  (policy.capacity / policy.refillPerSecond) * 1000
+              ),
+            },
+          },
+        ]);
+
+        return bucketResult(policy, record.tokens, record.allowed);
+      }
+
+      const { windowStart, resetMs } = fixedWindow(policy, now.getTime());
+      const record = await upsert(
+        { key: `${key}:${windowStart}` },
+        {
+          $inc: { count: 1 },
+          $setOnInsert: { expiresAt: new Date(windowStart + policy.windowMs) },
+        }
+      );
+
+      return {
+        allowed: record.count <= policy.limit,
+        remaining: Math.max(0, policy.limit - record.count),
+        resetMs,
+      };
+    },
+  };
+};
+
+let store;
+
+// Lets the app (or tests) plug in another store.
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+const getRateLimitStore = () => {
+  store ??=
+    process.env.RATE_LIMIT_STORE === "mongo"
+      ? createMongoRateLimitStore()
+      : createMemoryRateLimitStore();
+  return store;
+};
+
+export {
+  createMemoryRateLimitStore,
+  createMongoRateLimitStore,
+  setRateLimitStore,
+  getRateLimitStore,
+};
@@ -0,0 +1,17 @@
+import crypto from "crypto";
+import { hashToken } from "./hashToken.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+// e.g. "3f9a1-c07b2"
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+// users may type the codes with any case or spacing
+const hashRecoveryCode = (code) =>
+  hashToken(code.toLowerCase().replace(/\s/g, ""));
+
+export { generateRecoveryCodes, hashRecoveryCode };
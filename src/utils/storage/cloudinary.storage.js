@@ -0,0 +1,70 @@
+import { v2 as cloudinary } from "cloudinary";
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const cloudinaryStorage = {
+  name: "cloudinary",
+
+  upload: async (localFilePath, { folder } = {}) => {
+    const response = await cloudinary.uploader.upload(localFilePath, {
+      resource_type: "auto",
+      folder,
+    });
+
+    return {
+      provider: "cloudinary",
+      publicId: response.public_id,
+      url: response.secure_url || response.url,
+      resourceType: response.resource_type,
+      metadata: {
+        format: response.format,
+        bytes: response.bytes,
+        width: response.width,
+        height: response.height,
+        duration: response.duration,
+      },
+    };
+  },
+
+  delete: async ({ publicId, resourceType = "image" }) => {
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+    });
+  },
+
+  getPublicUrl: ({ publicId, resourceType = "image" }) =>
+    cloudinary.url(publicId, { resource_type: resourceType, secure: true }),
+
+  list: async () => {
+    const assets = [];
+
+    for (const resourceType of ["image", "video", "raw"]) {
+      let nextCursor;
+      do {
+        const page = await cloudinary.api.resources({
+          resource_type: resourceType,
+          type: "upload",
+          max_results: 500,
+          next_cursor: nextCursor,
+        });
+
+        for (const resource of page.resources) {
+          assets.push({
+            publicId: resource.public_id,
+            resourceType,
+            createdAt: new Date(resource.created_at),
+          });
+        }
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+    }
+
+    return assets;
+  },
+};
+
+export { cloudinaryStorage };
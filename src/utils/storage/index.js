@@ -0,0 +1,156 @@
+import fs from "fs";
+import { cloudinaryStorage } from "./cloudinary.storage.js";
+import { localStorage } from "./local.storage.js";
+import { processImage } from "../imageProcessing.js";
+import { IMAGE_PRESETS } from "../../constants.js";
+
+// Every provider implements upload(localFilePath, { folder }),
+// delete(assetRef), getPublicUrl(assetRef) and list(). upload resolves to
+// { provider, publicId, url, resourceType, metadata }, where the first four
+// fields are the asset reference stored on documents. list resolves to
+// [{ publicId, resourceType, createdAt }] for every stored file.
+
+const providers = {
+  [cloudinaryStorage.name]: cloudinaryStorage,
+  [localStorage.name]: localStorage,
+};
+
+const getStorage = () => {
+  const name = process.env.STORAGE_PROVIDER || "cloudinary";
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${name}"`);
+  }
+  return provider;
+};
+
+// Uploads through the configured provider and always removes the temp file.
+// Resolves to null when the upload fails.
+const uploadFile = async (localFilePath, options) => {
+  try {
+    if (!localFilePath) return null;
+
+    const asset = await getStorage().upload(localFilePath, options);
+    console.log(`file is uploaded on ${asset.provider}`, asset.url);
+
+    return asset;
+  } catch (err) {
+    console.error("Storage upload error:", err);
+    return null;
+  } finally {
+    await fs.promises.rm(localFilePath, { force: true });
+  }
+};
+
+// Deletes through the provider that stored the asset, which may not be the
+// configured one. Failures are logged, not thrown.
+const deleteFile = async (asset) => {
+  try {
+    if (!asset?.publicId) return false;
+
+    const provider = providers[asset.provider];
+    if (!provider)
+      throw new Error(`Unknown storage provider "${asset.provider}"`);
+
+    await provider.delete(asset);
+    return true;
+  } catch (err) {
+    console.error("Storage delete error:", err);
+    return false;
+  }
+};
+
+// Processes an image with the given IMAGE_PRESETS entry and uploads every
+// size. Resolves to { small, medium, large } asset references with their
+// dimensions, or null when processing or any upload fails.
+const uploadImage = async (localFilePath, { folder, preset }) => {
+  let variants = [];
+
+  try {
+    if (!localFilePath) return null;
+
+    variants = await processImage(localFilePath, IMAGE_PRESETS[preset]);
+    const assets = await Promise.all(
+      variants.map((variant) => uploadFile(variant.path, { folder }))
+    );
+
+    if (assets.some((asset) => !asset)) {
+      await Promise.all(assets.map((asset) => deleteFile(asset)));
+      return null;
+    }
+
+    return Object.fromEntries(
+      variants.map(({ name, width, height }, i) => {
+        const { metadata, ...asset } = assets[i];
+        return [name, { ...asset, width, height }];
+      })
+    );
+  } catch (err) {
+    console.error("Image processing error:", err);
+    return null;
+  } finally {
+    await Promise.all(
+      [localFilePath, ...variants.map((variant) => variant.path)]
+        .filter(Boolean)
+        .map((filePath) => fs.promises.rm(filePath, { force: true }))
+    );
+  }
+};
+
+// The distinct stored files behind an image. Images migrated from a single
+// upload use the same file for every size.
+const imageAssets = (image) => {
+  const variants = Object.values(image?.toObject?.() ?? image ?? {}).filter(
+    (variant) => variant?.publicId
+  );
+
+  return variants.filter(
+    (variant, i) =>
+      variants.findIndex(({ publicId }) => publicId === variant.publicId) === i
+  );
+};
+
+const deleteImage = (image) =>
+  Promise.all(imageAssets(image).map((asset) => deleteFile(asset)));
+
+// Remembers assets uploaded while handling a request, so the rollbackUploads
+// error middleware can delete them again if the request fails later on.
+const trackUploads = (req, ...assets) => {
+  req.uploadedAssets = [
+    ...(req.uploadedAssets ?? []),
+    ...assets.filter(Boolean),
+  ];
+};
+
+// uploadFile and uploadImage for request handlers: what they store is
+// tracked on the request, so rollbackUploads deletes it again if the request
+// fails later on.
+const uploadTrackedFile = async (req, localFilePath, options) => {
+  const asset = await uploadFile(localFilePath, options);
+  trackUploads(req, asset);
+  return asset;
+};
+
+const uploadTrackedImage = async (req, localFilePath, options) => {
+  const image = await uploadImage(localFilePath, options);
+  trackUploads(req, ...imageAssets(image));
+  return image;
+};
+
+const getPublicUrl = (asset) =>
+  asset?.publicId ? providers[asset.provider]?.getPublicUrl(asset) : null;
+
+export {
+  providers,
+  getStorage,
+  uploadFile,
+  deleteFile,
+  uploadImage,
+  imageAssets,
+  deleteImage,
+  trackUploads,
+  uploadTrackedFile,
+  uploadTrackedImage,
+  getPublicUrl,
+};
@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { probeFile } from "../mediaInfo.js";
+
+// Keeps files on disk under public/, which app.js already serves statically.
+const ROOT_DIR = path.resolve(
+  process.env.LOCAL_STORAGE_DIR || "public/uploads"
+);
+const BASE_URL = (process.env.LOCAL_STORAGE_BASE_URL || "/uploads").replace(
+  /\/$/,
+  ""
+);
+
+const resolveInRoot = (publicId) => {
+  const filePath = path.resolve(ROOT_DIR, publicId);
+  if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Invalid local asset id: ${publicId}`);
+  }
+  return filePath;
+};
+
+// rename fails across devices, e.g. when the temp dir is a separate mount
+const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+};
+
+const getPublicUrl = ({ publicId }) => `${BASE_URL}/${publicId}`;
+
+const localStorage = {
+  name: "local",
+
+  upload: async (localFilePath, { folder = "misc" } = {}) => {
+    const info = await probeFile(localFilePath);
+    const ext = info?.ext ?? path.extname(localFilePath).toLowerCase();
+
+    const publicId = path.posix.join(folder, `${crypto.randomUUID()}${ext}`);
+    const filePath = resolveInRoot(publicId);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await moveFile(localFilePath, filePath);
+
+    return {
+      provider: "local",
+      publicId,
+      url: getPublicUrl({ publicId }),
+      resourceType: info?.kind ?? "raw",
+      metadata: {
+        format: ext.replace(".", ""),
+        bytes: info?.bytes,
+        width: info?.width,
+        height: info?.height,
+        duration: info?.duration,
+      },
+    };
+  },
+
+  delete: async ({ publicId }) => {
+    await fs.promises.rm(resolveInRoot(publicId), { force: true });
+  },
+
+  getPublicUrl,
+
+  list: async () => {
+    const entries = await fs.promises
+      .readdir(ROOT_DIR, { recursive: true, withFileTypes: true })
+      .catch((err) => (err.code === "ENOENT" ? [] : Promise.reject(err)));
+
+    const files = entries.filter((entry) => entry.isFile());
+
+    return Promise.all(
+      files.map(async (entry) => {
+        const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+        const { mtime } = await fs.promises.stat(filePath);
+
+        return {
+          publicId: path.relative(ROOT_DIR, filePath).split(path.sep).join("/"),
+          resourceType: "raw",
+          createdAt: mtime,
+        };
+      })
+    );
+  },
+};
+
+export { localStorage };
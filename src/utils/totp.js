@@ -0,0 +1,82 @@
+import crypto from "crypto";
+
+// RFC 6238 time based one-time passwords, as used by authenticator apps.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Returns the time step the code belongs to, or null. Codes from one step
+// before or after are accepted to allow for clock drift; steps up to
+// `lastUsedStep` are refused so a code cannot be replayed.
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep();
+
+  for (const candidate of [step - 1, step, step + 1]) {
+    if (candidate <= lastUsedStep) continue;
+
+    const expected = hotp(key, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+export { generateTotpSecret, buildOtpauthUri, verifyTotp };
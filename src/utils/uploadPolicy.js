@@ -0,0 +1,58 @@
+import crypto from "crypto";
+import path from "path";
+import { ApiError } from "./ApiError.js";
+import { probeFile } from "./mediaInfo.js";
+import { UPLOAD_POLICIES } from "../constants.js";
+
+const TEMP_DIR = "./public/temp";
+
+// never trust the client's file name, only keep a harmless extension
+const getTempFileName = (originalName) => {
+  const ext = path.extname(originalName).toLowerCase();
+  return crypto.randomUUID() + (/^\.[a-z0-9]{1,8}$/.test(ext) ? ext : "");
+};
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${Math.round(bytes / 1024 / 1024)} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+
+// Checks an uploaded file ({ fieldname, path, size }, as multer describes it)
+// against its UPLOAD_POLICIES entry: size, real type (from its magic bytes,
+// not the client's Content-Type) and image dimensions.
+const validateUpload = async (file) => {
+  const policy = UPLOAD_POLICIES[file.fieldname];
+
+  if (file.size > policy.maxBytes) {
+    throw new ApiError(
+      413,
+      `${file.fieldname} must be at most ${formatBytes(policy.maxBytes)}`
+    );
+  }
+
+  const info = await probeFile(file.path);
+
+  if (!info || !policy.types.includes(info.mime)) {
+    throw new ApiError(
+      400,
+      `${file.fieldname} must be one of: ${policy.types.join(", ")}`
+    );
+  }
+
+  if (info.kind === "image") {
+    if (!info.width || !info.height) {
+      throw new ApiError(400, `${file.fieldname} is not a readable image`);
+    }
+    if (info.width > policy.maxWidth || info.height > policy.maxHeight) {
+      throw new ApiError(
+        400,
+        `${file.fieldname} must be at most ${policy.maxWidth}x${policy.maxHeight} pixels`
+      );
+    }
+  }
+
+  file.mimetype = info.mime;
+  file.info = info;
+};
+
+export { TEMP_DIR, getTempFileName, formatBytes, validateUpload };
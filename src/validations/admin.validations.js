@@ -0,0 +1,16 @@
+import { z } from "zod";
+import { paginationSchema } from "./common.validations.js";
+import { USER_ROLES } from "../models/user.model.js";
+
+export const listUsersSchema = paginationSchema.extend({
+  q: z.string().trim().optional(),
+  role: z.enum(USER_ROLES).optional(),
+  banned: z
+    .enum(["true", "false"])
+    .transform((value) => value === "true")
+    .optional(),
+});
+
+export const banUserSchema = z.object({
+  reason: z.string().trim().max(500).optional(),
+});
@@ -0,0 +1,14 @@
+import { z } from "zod";
+import { objectId } from "./common.validations.js";
+
+export const commentSchema = z.object({
+  content: z
+    .string()
+    .trim()
+    .min(1, "Comment cannot be empty")
+    .max(1000, "Comment must be at most 1000 characters"),
+});
+
+export const commentIdParamsSchema = z.object({
+  commentId: objectId("comment"),
+});
@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { isValidObjectId } from "mongoose";
+import { decodeCursor } from "../utils/cursorPagination.js";
+
+// e.g. objectId("video") for a `videoId` route param
+export const objectId = (label) =>
+  z.string().refine((value) => isValidObjectId(value), `Invalid ${label} id`);
+
+export const paginationSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(10),
+});
+
+// for feeds, where new items arriving would shift pages around. `cursor`
+// parses to the position of the last item seen, see afterCursor.
+export const cursorPaginationSchema = z.object({
+  cursor: z
+    .string()
+    .trim()
+    .min(1)
+    .transform((cursor, ctx) => {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Invalid cursor",
+        });
+        return z.NEVER;
+      }
+      return position;
+    })
+    .optional(),
+  limit: z.coerce.number().int().min(1).max(50).default(10),
+});
@@ -0,0 +1,26 @@
+import { z } from "zod";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+export const channelStatsSchema = z
+  .object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+  })
+  .transform(({ from, to }) => {
+    const end = new Date(to ?? Date.now());
+    const start = new Date(from ?? end.getTime() - 29 * DAY_MS);
+    // whole UTC days at both ends, so every series covers the same days
+    start.setUTCHours(0, 0, 0, 0);
+    end.setUTCHours(23, 59, 59, 999);
+    return { from: start, to: end };
+  })
+  .refine(({ from, to }) => from <= to, {
+    message: "`from` must be before `to`",
+    path: ["from"],
+  })
+  .refine(({ from, to }) => to - from <= MAX_RANGE_DAYS * DAY_MS, {
+    message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`,
+    path: ["to"],
+  });
@@ -0,0 +1,13 @@
+import { z } from "zod";
+import { objectId, cursorPaginationSchema } from "./common.validations.js";
+
+export const listNotificationsSchema = cursorPaginationSchema.extend({
+  unread: z
+    .enum(["true", "false"])
+    .transform((value) => value === "true")
+    .optional(),
+});
+
+export const notificationIdParamsSchema = z.object({
+  notificationId: objectId("notification"),
+});
@@ -0,0 +1,27 @@
+import { z } from "zod";
+import { objectId } from "./common.validations.js";
+import { PLAYLIST_VISIBILITY } from "../models/playlist.model.js";
+
+export const createPlaylistSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(150),
+  description: z.string().trim().max(5000).optional(),
+  visibility: z.enum(PLAYLIST_VISIBILITY).optional(),
+});
+
+export const updatePlaylistSchema = createPlaylistSchema
+  .partial()
+  .refine((data) => Object.values(data).some((value) => value !== undefined), {
+    message: "Provide a name, description or visibility to update",
+  });
+
+export const movePlaylistVideoSchema = z.object({
+  position: z.coerce.number().int().min(0),
+});
+
+export const playlistIdParamsSchema = z.object({
+  playlistId: objectId("playlist"),
+});
+
+export const playlistVideoParamsSchema = playlistIdParamsSchema.extend({
+  videoId: objectId("video"),
+});
@@ -0,0 +1,22 @@
+import { z } from "zod";
+
+export const SEARCH_TYPES = ["videos", "channels", "playlists"];
+
+export const searchSchema = z.object({
+  q: z
+    .string()
+    .trim()
+    .min(1, "Search query is required")
+    .max(100, "Search query must be at most 100 characters"),
+  type: z.enum(SEARCH_TYPES).optional(),
+  limit: z.coerce.number().int().min(1).max(50).default(10),
+});
+
+export const suggestionsSchema = z.object({
+  q: z
+    .string()
+    .trim()
+    .min(1, "Search query is required")
+    .max(100, "Search query must be at most 100 characters"),
+  limit: z.coerce.number().int().min(1).max(20).default(8),
+});
@@ -0,0 +1,10 @@
+import { z } from "zod";
+import { objectId } from "./common.validations.js";
+
+export const channelIdParamsSchema = z.object({
+  channelId: objectId("channel"),
+});
+
+export const subscriberIdParamsSchema = z.object({
+  subscriberId: objectId("subscriber"),
+});
@@ -0,0 +1,22 @@
+import { z } from "zod";
+import { objectId } from "./common.validations.js";
+
+const content = z
+  .string()
+  .trim()
+  .min(1, "Post cannot be empty")
+  .max(2000, "Post must be at most 2000 characters");
+
+export const createTweetSchema = z.object({ content });
+
+export const updateTweetSchema = z.object({
+  content: content.optional(),
+  removeImage: z
+    .enum(["true", "false"])
+    .transform((value) => value === "true")
+    .optional(),
+});
+
+export const tweetIdParamsSchema = z.object({
+  tweetId: objectId("tweet"),
+});
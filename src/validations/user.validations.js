@@ -1,19 +1,93 @@
 import { z } from "zod";
+import { objectId } from "./common.validations.js";
+
+// stored lowercase, so they are looked up that way too
+const email = z.string().trim().toLowerCase().email();
+const username = z.string().trim().toLowerCase();
 
 export const registerSchema = z.object({
-  username: z.string().min(2, "Username must be at least 2 characters"),
-  email: z.string().email(),
+  username: username.min(2, "Username must be at least 2 characters"),
+  email,
   fullName: z.string().min(2, "FullName must be at least 2 characters"),
-  password: z.string().min(6, "Password must be at least 2 characters"),
+  password: z.string().min(6, "Password must be at least 6 characters"),
 });
 
 export const loginSchema = z
   .object({
-    username: z.string().optional(),
-    email: z.string().email().optional(),
-    password: z.string().min(6, "Password must be at least 2 characters"),
+    username: username.optional(),
+    email: email.optional(),
+    password: z.string().min(6, "Password must be at least 6 characters"),
   })
   .refine((data) => data.username || data.email, {
     message: "Either username or email is required",
     path: ["username"],
   });
+
+export const emailSchema = z.object({
+  email,
+});
+
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+});
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+  newPassword: z.string().min(6, "Password must be at least 6 characters"),
+});
+
+export const twoFactorCodeSchema = z.object({
+  code: z.string().regex(/^\d{6}$/, "Code must be 6 digits"),
+});
+
+export const twoFactorLoginSchema = z
+  .object({
+    challengeToken: z.string().min(1, "Challenge token is required"),
+    code: z
+      .string()
+      .regex(/^\d{6}$/, "Code must be 6 digits")
+      .optional(),
+    recoveryCode: z.string().trim().min(1).optional(),
+  })
+  .refine((data) => data.code || data.recoveryCode, {
+    message: "Either code or recoveryCode is required",
+    path: ["code"],
+  });
+
+export const disableTwoFactorSchema = z.object({
+  password: z.string().min(1, "Password is required"),
+});
+
+export const refreshTokenSchema = z.object({
+  refreshToken: z.string().optional(),
+});
+
+export const changePasswordSchema = z.object({
+  currPass: z.string().min(1, "Current password is required"),
+  newPass: z.string().min(6, "New password must be at least 6 characters"),
+});
+
+export const updateAccountSchema = z
+  .object({
+    fullName: z
+      .string()
+      .trim()
+      .min(2, "FullName must be at least 2 characters")
+      .optional(),
+    email: email.optional(),
+  })
+  .refine((data) => data.fullName || data.email, {
+    message: "Provide a fullName or email to update",
+  });
+
+export const usernameParamsSchema = z.object({
+  username: username.min(1, "Username is missing"),
+});
+
+export const userIdParamsSchema = z.object({
+  userId: objectId("user"),
+});
+
+export const sessionIdParamsSchema = z.object({
+  sessionId: objectId("session"),
+});
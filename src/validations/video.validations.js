@@ -0,0 +1,53 @@
+import { z } from "zod";
+import { objectId, paginationSchema } from "./common.validations.js";
+import {
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_MIN_CHUNK_SIZE,
+  UPLOAD_MAX_CHUNK_SIZE,
+} from "../constants.js";
+
+export const publishVideoSchema = z.object({
+  title: z.string().trim().min(1, "Title is required"),
+  description: z.string().trim().min(1, "Description is required"),
+});
+
+export const updateVideoSchema = z.object({
+  title: z.string().trim().min(1, "Title cannot be empty").optional(),
+  description: z
+    .string()
+    .trim()
+    .min(1, "Description cannot be empty")
+    .optional(),
+});
+
+export const getAllVideosSchema = paginationSchema.extend({
+  query: z.string().trim().optional(),
+  sortBy: z
+    .enum(["createdAt", "views", "duration", "title"])
+    .default("createdAt"),
+  sortType: z.enum(["asc", "desc"]).default("desc"),
+  userId: objectId("user").optional(),
+});
+
+export const videoIdParamsSchema = z.object({
+  videoId: objectId("video"),
+});
+
+export const createVideoUploadSchema = z.object({
+  fileName: z.string().trim().min(1, "File name is required").max(255),
+  fileSize: z.coerce.number().int().positive("File size must be positive"),
+  chunkSize: z.coerce
+    .number()
+    .int()
+    .min(UPLOAD_MIN_CHUNK_SIZE)
+    .max(UPLOAD_MAX_CHUNK_SIZE)
+    .default(UPLOAD_CHUNK_SIZE),
+});
+
+export const uploadIdParamsSchema = z.object({
+  uploadId: objectId("upload"),
+});
+
+export const uploadChunkParamsSchema = uploadIdParamsSchema.extend({
+  index: z.coerce.number().int().min(0, "Chunk index cannot be negative"),
+});